@@ -6,12 +6,40 @@
 // Global variables - The main ninja squad
 let gameGrid;
 let pathfinder;
+let mission = null; // Leg-by-leg run (waypoints or a clone tour), null when the last run was a single search
+let pursuit = null; // Chase where Madara flees, null when the last run was not one
+let chaseMode = false; // Start runs a chase instead of a single search
+let evasionPolicy = EvasionPolicies.defaultId;
+let madaraSpeed = 0.75; // Madara's moves per Naruto move during a chase
+let squad = null; // Squad plan for Naruto and the squad ninjas, null when the last run was not one
+let squadStrategy = 'cbs'; // Key of SquadPlanner.STRATEGIES
+let fog = null; // Walk through the fog of war, null when the last run was not one
+let fogMode = false; // Start runs a walk where Naruto only sees nearby walls
+let visionRadius = 2; // How far Naruto sees in the fog, in cells
+let selectedAlgorithm = Algorithms.defaultId;
+let selectedHeuristic = Heuristics.defaultId;
+let heuristicWeight = 1;
+let movementOptions = { diagonal: false, cornerCutting: 'never' };
+let runHistory = []; // Recent runs on the current map, for comparing choices
+let searchTimeline = null; // Replay of the last finished run (the Pursuit itself for a chase)
+let inspectedNode = null; // Cell shown in the node inspector
+let instantMode = false; // Re-run the search without animation after every edit
+let instantSearchQueued = false; // An instant search is waiting for the next animation frame
+let smoothPath = false; // Draw paths with line-of-sight shortcuts (Theta* paths already are)
+let comparison = null; // Side-by-side run on screen, if any
+let comparisonEntries = [ // Algorithm/heuristic for each comparison pane
+    { algorithm: 'astar', heuristic: 'manhattan' },
+    { algorithm: 'dijkstra', heuristic: 'manhattan' }
+];
+const MAX_COMPARISON_PANES = 4;
 let isPathfinding = false;
+let wasAutoPaused = false; // Paused because the tab was hidden, resume when it comes back
 let animationSpeed = 50;
 let backgroundMusic;
 let isMusicEnabled = true;
 let stats = {
     pathLength: 0,
+    pathCost: 0,
     nodesExplored: 0,
     timeTaken: 0
 };
@@ -35,8 +63,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
             setTimeout(() => {
                 // Initialize the pathfinding algorithm
-                pathfinder = new AStar(gameGrid);
-                console.log('✅ A* Pathfinder ready');
+                pathfinder = Algorithms.create(selectedAlgorithm, gameGrid, getSearchOptions());
+                console.log(`✅ ${pathfinder.name} Pathfinder ready`);
                 updateLoadingProgress('Pathfinding algorithm loaded...', 50);
 
                 setTimeout(() => {
@@ -79,7 +107,31 @@ function initializeControls() {
     // Start pathfinding button
     const startBtn = document.getElementById('start-btn');
     if (startBtn) {
-        startBtn.addEventListener('click', startPathfinding);
+        startBtn.addEventListener('click', () => startPathfinding());
+    }
+
+    // Pause/resume and single-step buttons
+    const pauseBtn = document.getElementById('pause-btn');
+    if (pauseBtn) {
+        pauseBtn.addEventListener('click', togglePause);
+    }
+
+    const stepBtn = document.getElementById('step-btn');
+    if (stepBtn) {
+        stepBtn.addEventListener('click', stepPathfinding);
+    }
+    updatePlaybackButtons();
+
+    // Instant mode - recompute the path on every edit and drag step
+    const instantToggle = document.getElementById('instant-mode-toggle');
+    if (instantToggle) {
+        instantToggle.checked = instantMode;
+        instantToggle.addEventListener('change', function() {
+            instantMode = this.checked;
+            if (instantMode) {
+                scheduleInstantSearch();
+            }
+        });
     }
 
     // Reset grid button
@@ -94,6 +146,28 @@ function initializeControls() {
         clearPathBtn.addEventListener('click', clearPath);
     }
 
+    // Timeline scrubber for replaying the last run
+    initializeTimeline();
+    gameGrid.onEdit = handleGridEdit;
+
+    // Score overlay, parent arrows and node inspector
+    GridRenderer.attach(gameGrid);
+    initializeInspector();
+
+    // Side-by-side algorithm comparison
+    initializeComparisonControls();
+
+    // Wall / weight brush palette
+    initializeToolPalette();
+
+    // Algorithm and heuristic selectors
+    initializeAlgorithmSelector();
+    initializeHeuristicControls();
+    initializeMovementControls();
+    initializePursuitControls();
+    initializeSquadControls();
+    initializeFogControls();
+
     // Speed slider - FIXED VERSION
     const speedSlider = document.getElementById('speed-slider');
     const speedValue = document.getElementById('speed-value');
@@ -143,6 +217,955 @@ function initializeControls() {
     }
 }
 
+/**
+ * Wire up the timeline slider and its frame buttons
+ */
+function initializeTimeline() {
+    const slider = document.getElementById('timeline-slider');
+    const prevBtn = document.getElementById('timeline-prev');
+    const nextBtn = document.getElementById('timeline-next');
+    if (!slider) return;
+
+    slider.addEventListener('input', function() {
+        scrubTimeline(parseInt(this.value));
+    });
+
+    if (prevBtn) {
+        prevBtn.addEventListener('click', () => searchTimeline && scrubTimeline(searchTimeline.frame - 1));
+    }
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => searchTimeline && scrubTimeline(searchTimeline.frame + 1));
+    }
+}
+
+/**
+ * Wire up the overlay toggles and the hover inspector
+ */
+function initializeInspector() {
+    const scoresToggle = document.getElementById('score-overlay-toggle');
+    if (scoresToggle) {
+        scoresToggle.checked = GridRenderer.overlays.scores;
+        scoresToggle.addEventListener('change', function() {
+            GridRenderer.setOverlay('scores', this.checked);
+        });
+    }
+
+    const arrowsToggle = document.getElementById('parent-arrows-toggle');
+    if (arrowsToggle) {
+        arrowsToggle.checked = GridRenderer.overlays.arrows;
+        arrowsToggle.addEventListener('change', function() {
+            GridRenderer.setOverlay('arrows', this.checked);
+        });
+    }
+
+    const smoothToggle = document.getElementById('smooth-path-toggle');
+    if (smoothToggle) {
+        smoothToggle.checked = smoothPath;
+        smoothToggle.addEventListener('change', function() {
+            smoothPath = this.checked;
+            // Redraw the finished run's path, if there is one on the grid
+            if (GridRenderer.polyline.length > 0 && !isPathfinding) {
+                showPathOverlay(mission || pathfinder);
+            }
+        });
+    }
+
+    const heatmapSelect = document.getElementById('heatmap-select');
+    if (heatmapSelect) {
+        heatmapSelect.value = GridRenderer.heatmap || '';
+        heatmapSelect.addEventListener('change', function() {
+            GridRenderer.setHeatmap(this.value || null);
+        });
+    }
+
+    // Delegated so it survives the grid being re-rendered
+    const gridElement = document.getElementById('game-grid');
+    if (gridElement) {
+        gridElement.addEventListener('mouseover', function(e) {
+            const cell = e.target.closest('.grid-cell');
+            if (!cell) return;
+            inspectNode(gameGrid.getNode(parseInt(cell.dataset.row), parseInt(cell.dataset.col)));
+        });
+    }
+}
+
+/**
+ * Show a node's scores, parent and open/close steps in the inspector
+ * @param {Node} node - Node to show (keeps the current one when omitted)
+ */
+function inspectNode(node = inspectedNode) {
+    const inspectorEl = document.getElementById('node-inspector');
+    if (!inspectorEl || !node) return;
+
+    inspectedNode = node;
+    const format = value => GridRenderer.formatScore(value);
+    const terrain = node.getTerrain();
+    let ground = node.isWall ? 'Obstacle' : `Ground (cost ${node.weight})`;
+    if (node.isStart) ground = 'Naruto (start)';
+    else if (node.isEnd) ground = 'Madara (end)';
+    else if (node.isWaypoint) ground = `📍 Waypoint ${node.waypointNumber}`;
+    else if (node.isTarget) ground = `🎭 Madara clone ${node.targetNumber}`;
+    else if (node.squadNumber !== null) ground = node.squadRole === 'goal' ? `👥 Ninja ${node.squadNumber}'s goal` : `👥 Ninja ${node.squadNumber} (start)`;
+    else if (terrain) ground = `${terrain.icon} ${terrain.name} (cost ${terrain.cost})`;
+
+    const rows = [
+        ['Cell', `(${node.row}, ${node.col})`],
+        ['Ground', ground],
+        ['g', format(node.g)],
+        ['h', format(node.h)],
+        ['f', format(node.f)],
+        ['Parent', node.parent ? `(${node.parent.row}, ${node.parent.col})` : '-'],
+        ['Opened', node.openedAt !== null ? `step ${node.openedAt}` : '-'],
+        ['Closed', node.closedAt !== null ? `step ${node.closedAt}` : '-']
+    ];
+
+    inspectorEl.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const item = document.createElement('div');
+        const labelEl = document.createElement('span');
+        labelEl.className = 'inspector-label';
+        labelEl.textContent = label;
+        item.appendChild(labelEl);
+        item.appendChild(document.createTextNode(value));
+        inspectorEl.appendChild(item);
+    });
+}
+
+/**
+ * Called by the grid whenever the user edits a cell
+ */
+function handleGridEdit(node, mode) {
+    // D* Lite keeps its search and repairs the path around the edit instead
+    if (canRepairPath()) {
+        pathfinder.noteChange(node);
+        if (!isPathfinding) {
+            if (instantMode) {
+                scheduleInstantSearch();
+            } else {
+                repairPathfinding();
+            }
+        }
+        return;
+    }
+
+    // The recorded search no longer matches the battlefield
+    clearTimeline();
+
+    if (instantMode) {
+        scheduleInstantSearch();
+    }
+}
+
+/**
+ * Run an instant search on the next animation frame, so a fast drag only searches once per frame
+ */
+function scheduleInstantSearch() {
+    if (instantSearchQueued) return;
+    instantSearchQueued = true;
+    requestAnimationFrame(() => {
+        instantSearchQueued = false;
+        runInstantSearch();
+    });
+}
+
+/**
+ * Search without animation and show the result right away (instant mode)
+ * D* Lite repairs its previous search; every other algorithm starts fresh
+ */
+async function runInstantSearch() {
+    if (isPathfinding || comparison || chaseMode || fogMode || !gameGrid.startNode || !gameGrid.endNode) return;
+
+    const startTime = performance.now();
+    let result;
+    if (canRepairPath()) {
+        result = await pathfinder.replan(false);
+    } else if (needsSquad()) {
+        pursuit = null;
+        mission = null;
+        squad = createSquad();
+        result = squad.solve();
+    } else if (needsMission()) {
+        pursuit = null;
+        squad = null;
+        mission = createMission();
+        result = mission.solve();
+    } else {
+        pursuit = null;
+        squad = null;
+        mission = null;
+        pathfinder = Algorithms.create(selectedAlgorithm, gameGrid, getSearchOptions());
+        result = pathfinder.solve();
+    }
+
+    // solve() leaves the DOM alone - mark the path and repaint everything once
+    // (mission legs and squad routes already carry their route colors)
+    if (!mission && !squad) {
+        pathfinder.path.forEach(node => {
+            if (!node.isStart && !node.isEnd) node.isPath = true;
+        });
+    }
+    GridRenderer.refresh();
+
+    reportRunResult(result, startTime, true);
+    updateStats();
+}
+
+/**
+ * Whether the last search can be repaired in place (D* Lite, still selected, same grid, no waypoints, clones, squad or chase)
+ */
+function canRepairPath() {
+    return pathfinder instanceof DStarLite &&
+        selectedAlgorithm === 'dstar' &&
+        pathfinder.grid === gameGrid &&
+        pathfinder.hasState() &&
+        !mission &&
+        !pursuit &&
+        !squad &&
+        !fog &&
+        !chaseMode &&
+        !fogMode &&
+        !needsMission() &&
+        !needsSquad() &&
+        !comparison;
+}
+
+/**
+ * Whether the battlefield has waypoints or clones, so a run takes several legs
+ */
+function needsMission() {
+    return gameGrid.waypoints.length > 0 || gameGrid.targets.length > 0;
+}
+
+/**
+ * Set up a walk through the fog: Naruto plans with the selected algorithm on what he has seen so far
+ */
+function createFog() {
+    const createFinder = grid => Algorithms.create(selectedAlgorithm, grid, getSearchOptions());
+    return new FogOfWar(gameGrid, createFinder, { visionRadius });
+}
+
+/**
+ * Whether other ninjas are on the battlefield, so Naruto plans together with them
+ */
+function needsSquad() {
+    return gameGrid.squad.length > 0;
+}
+
+/**
+ * Set up a squad plan: every ninja searched with Space-Time A* under the current movement and heuristic,
+ * conflicts settled by the selected strategy
+ */
+function createSquad() {
+    const createFinder = (grid, constraints) => Algorithms.create('spacetime', grid, { ...getSearchOptions(), constraints });
+    return new SquadPlanner(gameGrid, createFinder, { strategy: squadStrategy });
+}
+
+/**
+ * Set up the multi-leg run the battlefield calls for, searching every leg with the selected algorithm
+ * Clones make a tour in the cheapest order (waypoints are ignored then), else the waypoints in order
+ */
+function createMission() {
+    const createFinder = grid => {
+        const finder = Algorithms.create(selectedAlgorithm, grid, getSearchOptions());
+        finder.setSpeed(animationSpeed);
+        return finder;
+    };
+    const run = gameGrid.targets.length > 0
+        ? new TargetTour(gameGrid, createFinder)
+        : new WaypointMission(gameGrid, createFinder);
+
+    // Stats, pause messages and the inspector follow whichever leg is searching
+    run.onLeg = finder => {
+        pathfinder = finder;
+    };
+    // A tour searches the costs between all its stops first - show how far that got
+    if (run instanceof TargetTour) {
+        run.onPlanProgress = (searches, total) => {
+            stats.tour = { searches, total };
+            updateStats();
+        };
+    }
+    return run;
+}
+
+/**
+ * Set up a chase: Madara moves by the selected evasion policy, Naruto replans with the selected algorithm every tick
+ */
+function createPursuit() {
+    const createFinder = grid => Algorithms.create(selectedAlgorithm, grid, getSearchOptions());
+    const chase = new Pursuit(gameGrid, createFinder, { policy: evasionPolicy, madaraSpeed });
+
+    // Stats and the inspector follow the latest tick
+    chase.onTick = () => {
+        pathfinder = chase.finder;
+        stats.chase = { ticks: chase.tick, outcome: null, policy: chase.policyId };
+        updateStats();
+    };
+    return chase;
+}
+
+/**
+ * What pause, resume and step act on: the chase, squad or mission while one runs, else the pathfinder
+ */
+function getRunControl() {
+    if (pursuit && pursuit.isRunning) return pursuit;
+    if (fog && fog.isRunning) return fog;
+    if (squad && squad.isRunning) return squad;
+    return mission && mission.isRunning ? mission : pathfinder;
+}
+
+/**
+ * Record the last run so it can be scrubbed back and forth
+ */
+function showTimeline(finder) {
+    const timelineEl = document.getElementById('timeline');
+    const slider = document.getElementById('timeline-slider');
+    if (!timelineEl || !slider || finder.eventLog.length === 0) return;
+
+    searchTimeline = new SearchTimeline(gameGrid, finder.eventLog);
+    slider.max = searchTimeline.lastFrame;
+    slider.value = searchTimeline.lastFrame;
+    timelineEl.hidden = false;
+    updateTimelineLabel(null);
+}
+
+/**
+ * Record the last chase so it can be scrubbed tick by tick
+ */
+function showChaseReplay(chase) {
+    const timelineEl = document.getElementById('timeline');
+    const slider = document.getElementById('timeline-slider');
+    if (!timelineEl || !slider || chase.trace.length < 2) return;
+
+    searchTimeline = chase;
+    slider.max = chase.lastFrame;
+    slider.value = chase.lastFrame;
+    timelineEl.hidden = false;
+    updateTimelineLabel(null);
+}
+
+/**
+ * Drop the recorded run and hide the scrubber
+ */
+function clearTimeline() {
+    // A chase replay moved Naruto and Madara around - put them back where the chase started
+    if (searchTimeline instanceof Pursuit) {
+        searchTimeline.closeReplay();
+    }
+    searchTimeline = null;
+    const timelineEl = document.getElementById('timeline');
+    if (timelineEl) timelineEl.hidden = true;
+    // The path polyline belongs to the same finished run
+    GridRenderer.clearPolyline();
+}
+
+/**
+ * Draw a finished run's path as a polyline and report its straight-line length
+ * Theta* brings its own any-angle waypoints; other paths are smoothed first when the toggle is on
+ * A waypoint mission is drawn leg by leg, so smoothing never cuts past a waypoint
+ * @param {Pathfinder|WaypointMission} source - Whatever ran last
+ */
+function showPathOverlay(source) {
+    const path = source ? source.path : [];
+    if (path.length < 2) {
+        GridRenderer.clearPolyline();
+        stats.euclideanLength = null;
+        updateStats();
+        return;
+    }
+
+    const points = [];
+    (source.legs || [source]).forEach(leg => {
+        let corners = leg.path;
+        if (leg.waypoints && leg.waypoints.length > 0) {
+            corners = leg.waypoints;
+        } else if (smoothPath) {
+            corners = PathSmoother.smooth(gameGrid, leg.path);
+        }
+        points.push(...(points.length > 0 ? corners.slice(1) : corners));
+    });
+
+    GridRenderer.drawPolyline(points);
+    stats.euclideanLength = PathSmoother.euclideanLength(points);
+    updateStats();
+}
+
+/**
+ * Show the recorded run at a given expansion
+ */
+function scrubTimeline(frame) {
+    if (!searchTimeline || isPathfinding) return;
+
+    const snapshot = searchTimeline.seek(frame);
+    GridRenderer.setPolylineVisible(snapshot.frame === searchTimeline.lastFrame);
+    const slider = document.getElementById('timeline-slider');
+    if (slider) slider.value = snapshot.frame;
+    updateTimelineLabel(snapshot);
+    inspectNode();
+}
+
+/**
+ * Describe the frame the timeline is showing
+ * @param {object|null} snapshot - Result of SearchTimeline.seek(), or null for the final state
+ */
+function updateTimelineLabel(snapshot) {
+    const labelEl = document.getElementById('timeline-label');
+    if (!labelEl || !searchTimeline) return;
+
+    if (searchTimeline instanceof Pursuit) {
+        const tick = `Tick ${searchTimeline.frame}/${searchTimeline.lastFrame}`;
+        const where = node => `(${node.row}, ${node.col})`;
+        labelEl.textContent = snapshot
+            ? `${tick} · Naruto ${where(snapshot.naruto)} · Madara ${where(snapshot.madara)} · searched ${snapshot.nodesExplored}${snapshot.captured ? ' · 🏁 caught' : ''}`
+            : tick;
+        return;
+    }
+
+    const step = `Step ${searchTimeline.frame}/${searchTimeline.lastFrame}`;
+    const bound = snapshot && typeof snapshot.bound === 'number' ? ` (f ≤ ${GridRenderer.formatScore(snapshot.bound)})` : '';
+    const pass = snapshot && snapshot.iteration ? ` · pass ${snapshot.iteration}${bound}` : '';
+    labelEl.textContent = snapshot
+        ? `${step}${pass} · open ${snapshot.openCount} · closed ${snapshot.closedCount}${snapshot.found ? ' · 🎯 found' : ''}`
+        : step;
+}
+
+/**
+ * Wire up the brush tool palette, the weight brush cost slider and the terrain picker
+ */
+function initializeToolPalette() {
+    const toolButtons = document.querySelectorAll('.tool-btn');
+    const brushSlider = document.getElementById('brush-weight');
+    const brushValue = document.getElementById('brush-weight-value');
+    const terrainSelect = document.getElementById('terrain-select');
+
+    toolButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            selectTool(this.dataset.tool);
+        });
+    });
+
+    if (brushSlider && brushValue) {
+        brushSlider.addEventListener('input', function() {
+            gameGrid.setBrushWeight(parseInt(this.value));
+            brushValue.textContent = `Cost ${gameGrid.brushWeight}`;
+            selectTool('weight'); // Adjusting the cost means the user wants to paint
+        });
+
+        gameGrid.setBrushWeight(parseInt(brushSlider.value));
+        brushValue.textContent = `Cost ${gameGrid.brushWeight}`;
+    }
+
+    if (terrainSelect) {
+        terrainSelect.innerHTML = '';
+        Terrain.list().forEach(({ id, name, cost, icon }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${icon} ${name} (${cost})`;
+            terrainSelect.appendChild(option);
+        });
+        terrainSelect.value = gameGrid.brushTerrain;
+
+        terrainSelect.addEventListener('change', function() {
+            gameGrid.setBrushTerrain(this.value);
+            selectTool('terrain'); // Picking a terrain means the user wants to paint it
+        });
+    }
+}
+
+/**
+ * Activate a brush tool and highlight its palette button
+ * @param {string} tool - 'wall', 'weight', 'terrain', 'waypoint', 'target', 'patrol' or 'squad'
+ */
+function selectTool(tool) {
+    gameGrid.setTool(tool);
+    document.querySelectorAll('.tool-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === gameGrid.activeTool);
+    });
+}
+
+/**
+ * Populate the algorithm selector from the registry
+ */
+function initializeAlgorithmSelector() {
+    const algorithmSelect = document.getElementById('algorithm-select');
+    const algorithmDescription = document.getElementById('algorithm-description');
+    if (!algorithmSelect) return;
+
+    algorithmSelect.innerHTML = '';
+    Algorithms.list().forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        algorithmSelect.appendChild(option);
+    });
+    algorithmSelect.value = selectedAlgorithm;
+
+    const showDescription = () => {
+        const definition = Algorithms.get(selectedAlgorithm);
+        if (algorithmDescription && definition) {
+            algorithmDescription.textContent = definition.description;
+        }
+    };
+    showDescription();
+
+    algorithmSelect.addEventListener('change', function() {
+        if (isPathfinding) {
+            showNotification('Cannot change algorithm while pathfinding is running!', 'warning');
+            this.value = selectedAlgorithm;
+            return;
+        }
+
+        selectedAlgorithm = this.value;
+        pathfinder = Algorithms.create(selectedAlgorithm, gameGrid, getSearchOptions());
+        pathfinder.setSpeed(animationSpeed);
+        showDescription();
+        updateHeuristicControlsState();
+        console.log(`🧠 Algorithm switched to ${pathfinder.name}`);
+    });
+}
+
+/**
+ * Wire up the comparison setup (panes, add, compare) and the close button
+ */
+function initializeComparisonControls() {
+    const addPaneBtn = document.getElementById('add-pane-btn');
+    if (addPaneBtn) {
+        addPaneBtn.addEventListener('click', function() {
+            if (comparisonEntries.length >= MAX_COMPARISON_PANES) {
+                showNotification(`Up to ${MAX_COMPARISON_PANES} panes can be compared!`, 'warning');
+                return;
+            }
+            comparisonEntries.push({ algorithm: 'greedy', heuristic: selectedHeuristic });
+            renderComparisonSetup();
+        });
+    }
+
+    const compareBtn = document.getElementById('compare-btn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', startComparison);
+    }
+
+    const closeBtn = document.getElementById('close-comparison-btn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeComparison);
+    }
+
+    renderComparisonSetup();
+}
+
+/**
+ * One row per pane: algorithm, heuristic and a remove button
+ */
+function renderComparisonSetup() {
+    const setupEl = document.getElementById('comparison-setup');
+    if (!setupEl) return;
+
+    setupEl.innerHTML = '';
+    comparisonEntries.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'comparison-entry';
+
+        const algorithmSelect = createSelect(Algorithms.list(), entry.algorithm);
+        const heuristicSelect = createSelect(Heuristics.list(), entry.heuristic);
+        heuristicSelect.disabled = !Algorithms.get(entry.algorithm).usesHeuristic;
+
+        algorithmSelect.addEventListener('change', function() {
+            entry.algorithm = this.value;
+            heuristicSelect.disabled = !Algorithms.get(entry.algorithm).usesHeuristic;
+        });
+        heuristicSelect.addEventListener('change', function() {
+            entry.heuristic = this.value;
+        });
+
+        row.appendChild(algorithmSelect);
+        row.appendChild(heuristicSelect);
+
+        if (comparisonEntries.length > 2) {
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary btn-small';
+            removeBtn.textContent = '✖';
+            removeBtn.title = 'Remove pane';
+            removeBtn.addEventListener('click', () => {
+                comparisonEntries.splice(index, 1);
+                renderComparisonSetup();
+            });
+            row.appendChild(removeBtn);
+        }
+
+        setupEl.appendChild(row);
+    });
+}
+
+/**
+ * Build a <select> from a list of { id, name }
+ */
+function createSelect(items, value) {
+    const select = document.createElement('select');
+    select.className = 'preset-select';
+    items.forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = value;
+    return select;
+}
+
+/**
+ * Clone the battlefield into one pane per entry and race them on a shared clock
+ */
+async function startComparison() {
+    if (isPathfinding) {
+        showNotification('Wait for the current search to finish first!', 'warning');
+        return;
+    }
+    if (!gameGrid.startNode || !gameGrid.endNode) {
+        showNotification('Please set both start and end points!', 'warning');
+        return;
+    }
+    if (comparison) {
+        comparison.stop();
+    }
+
+    const entries = comparisonEntries.map(entry => {
+        const options = { ...getSearchOptions(), heuristic: entry.heuristic };
+        return {
+            algorithm: entry.algorithm,
+            options,
+            label: getRunLabel(entry.algorithm, options.heuristic, options.weight)
+        };
+    });
+
+    const current = new Comparison(gameGrid, entries);
+    comparison = current;
+    current.onUpdate = renderComparisonTable;
+
+    setComparisonVisible(true);
+    current.mount(document.getElementById('comparison-panes'));
+    renderComparisonTable(current.getRows());
+
+    const rows = await current.run(animationSpeed);
+    if (comparison !== current || !rows.every(row => row.done)) return; // Closed or restarted
+
+    // Cheapest path wins, fewest explored nodes breaks ties
+    const winner = rows
+        .filter(row => row.found)
+        .sort((a, b) => (a.pathCost - b.pathCost) || (a.nodesExplored - b.nodesExplored))[0];
+    showNotification(winner ? `🏆 ${winner.label} wins: cost ${winner.pathCost}, ${winner.nodesExplored} nodes` : '❌ No pane found a path!', winner ? 'success' : 'error');
+}
+
+/**
+ * Stop the comparison and go back to the editable battlefield
+ */
+function closeComparison() {
+    if (comparison) {
+        comparison.stop();
+        comparison = null;
+    }
+    setComparisonVisible(false);
+}
+
+/**
+ * Swap the main grid (and its timeline) for the comparison panes, or back
+ */
+function setComparisonVisible(visible) {
+    const viewEl = document.getElementById('comparison-view');
+    const gridContainer = document.querySelector('.grid-container');
+    if (viewEl) viewEl.hidden = !visible;
+    if (gridContainer) gridContainer.hidden = visible;
+    if (visible) clearTimeline();
+}
+
+/**
+ * Fill the comparison table: one row per pane
+ */
+function renderComparisonTable(rows) {
+    const bodyEl = document.getElementById('comparison-table-body');
+    if (!bodyEl) return;
+
+    bodyEl.innerHTML = '';
+    rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const pending = row.done ? '❌' : '…';
+        [
+            row.label,
+            row.found ? row.pathCost : pending,
+            row.found ? row.pathLength : pending,
+            row.nodesExplored,
+            row.timeTaken
+        ].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        bodyEl.appendChild(tr);
+    });
+}
+
+/**
+ * Populate the heuristic selector and wire up the Weighted A* epsilon input
+ */
+function initializeHeuristicControls() {
+    const heuristicSelect = document.getElementById('heuristic-select');
+    const weightInput = document.getElementById('heuristic-weight');
+    if (!heuristicSelect || !weightInput) return;
+
+    heuristicSelect.innerHTML = '';
+    Heuristics.list().forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        heuristicSelect.appendChild(option);
+    });
+    heuristicSelect.value = selectedHeuristic;
+    weightInput.value = heuristicWeight;
+    updateHeuristicDescription();
+
+    heuristicSelect.addEventListener('change', function() {
+        if (isPathfinding) {
+            showNotification('Cannot change heuristic while pathfinding is running!', 'warning');
+            this.value = selectedHeuristic;
+            return;
+        }
+
+        setHeuristic(this.value);
+        console.log(`🧭 Heuristic switched to ${Heuristics.get(selectedHeuristic).name}`);
+    });
+
+    weightInput.addEventListener('change', function() {
+        const weight = parseFloat(this.value);
+        if (isPathfinding || isNaN(weight) || weight < 1 || weight > 5) {
+            showNotification('Heuristic weight must be between 1 and 5!', 'warning');
+            this.value = heuristicWeight;
+            return;
+        }
+
+        heuristicWeight = weight;
+        if (pathfinder) pathfinder.setHeuristic(selectedHeuristic, heuristicWeight);
+        updateHeuristicDescription();
+        console.log(`⚖️ Heuristic weight set to ${heuristicWeight}`);
+    });
+
+    updateHeuristicControlsState();
+}
+
+/**
+ * Switch the active heuristic and keep the selector in sync
+ */
+function setHeuristic(heuristic) {
+    selectedHeuristic = heuristic;
+    if (pathfinder) pathfinder.setHeuristic(selectedHeuristic, heuristicWeight);
+
+    const heuristicSelect = document.getElementById('heuristic-select');
+    if (heuristicSelect) heuristicSelect.value = selectedHeuristic;
+
+    updateHeuristicDescription();
+}
+
+/**
+ * Describe the active heuristic (and weight) under the selector
+ */
+function updateHeuristicDescription() {
+    const heuristicDescription = document.getElementById('heuristic-description');
+    if (!heuristicDescription) return;
+
+    let description = Heuristics.get(selectedHeuristic).description;
+    if (heuristicWeight > 1) {
+        description += ` (Weighted ×${heuristicWeight} - faster, may not be optimal)`;
+    }
+    if (movementOptions.diagonal && selectedHeuristic === 'manhattan') {
+        description += ' ⚠️ Overestimates with diagonal moves!';
+    }
+    heuristicDescription.textContent = description;
+}
+
+/**
+ * Wire up the 8-way movement toggle and corner-cutting policy
+ */
+function initializeMovementControls() {
+    const diagonalToggle = document.getElementById('diagonal-toggle');
+    const cornerSelect = document.getElementById('corner-cutting-select');
+    if (!diagonalToggle || !cornerSelect) return;
+
+    diagonalToggle.checked = movementOptions.diagonal;
+    cornerSelect.value = movementOptions.cornerCutting;
+    cornerSelect.disabled = !movementOptions.diagonal;
+
+    diagonalToggle.addEventListener('change', function() {
+        if (isPathfinding) {
+            showNotification('Cannot change movement while pathfinding is running!', 'warning');
+            this.checked = movementOptions.diagonal;
+            return;
+        }
+
+        movementOptions.diagonal = this.checked;
+        cornerSelect.disabled = !movementOptions.diagonal;
+
+        // Octile is exact for 8-way movement, Manhattan for 4-way
+        setHeuristic(movementOptions.diagonal ? 'octile' : 'manhattan');
+        pathfinder = Algorithms.create(selectedAlgorithm, gameGrid, getSearchOptions());
+        pathfinder.setSpeed(animationSpeed);
+
+        showNotification(movementOptions.diagonal ? '↗️ 8-way movement enabled (Octile heuristic)' : '➡️ 4-way movement enabled', 'info');
+    });
+
+    cornerSelect.addEventListener('change', function() {
+        if (isPathfinding) {
+            showNotification('Cannot change movement while pathfinding is running!', 'warning');
+            this.value = movementOptions.cornerCutting;
+            return;
+        }
+
+        movementOptions.cornerCutting = this.value;
+        pathfinder = Algorithms.create(selectedAlgorithm, gameGrid, getSearchOptions());
+        pathfinder.setSpeed(animationSpeed);
+        console.log(`📐 Corner cutting: ${movementOptions.cornerCutting}`);
+    });
+}
+
+/**
+ * Wire up the chase toggle, the evasion policy picker and Madara's speed
+ */
+function initializePursuitControls() {
+    const chaseToggle = document.getElementById('chase-mode-toggle');
+    const policySelect = document.getElementById('evasion-select');
+    const policyDescription = document.getElementById('evasion-description');
+    const speedSelect = document.getElementById('madara-speed-select');
+    if (!chaseToggle || !policySelect) return;
+
+    policySelect.innerHTML = '';
+    EvasionPolicies.list().forEach(({ id, name }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = name;
+        policySelect.appendChild(option);
+    });
+    policySelect.value = evasionPolicy;
+
+    const showDescription = () => {
+        if (policyDescription) {
+            policyDescription.textContent = EvasionPolicies.get(evasionPolicy).description;
+        }
+    };
+    showDescription();
+
+    chaseToggle.checked = chaseMode;
+    chaseToggle.addEventListener('change', function() {
+        if (isPathfinding) {
+            showNotification('Cannot switch modes while pathfinding is running!', 'warning');
+            this.checked = chaseMode;
+            return;
+        }
+
+        chaseMode = this.checked;
+        showNotification(chaseMode ? '🏃 Pursuit mode - Madara will flee while Naruto chases him' : '🎯 Madara stands his ground again', 'info');
+    });
+
+    policySelect.addEventListener('change', function() {
+        evasionPolicy = this.value;
+        showDescription();
+        console.log(`🏃 Evasion policy: ${EvasionPolicies.get(evasionPolicy).name}`);
+    });
+
+    if (speedSelect) {
+        speedSelect.value = `${madaraSpeed}`;
+        speedSelect.addEventListener('change', function() {
+            madaraSpeed = parseFloat(this.value);
+        });
+    }
+}
+
+/**
+ * Set up the fog of war toggle and vision radius selector
+ */
+function initializeFogControls() {
+    const fogToggle = document.getElementById('fog-mode-toggle');
+    const radiusSelect = document.getElementById('vision-radius-select');
+    if (!fogToggle) return;
+
+    fogToggle.checked = fogMode;
+    fogToggle.addEventListener('change', function() {
+        if (isPathfinding) {
+            showNotification('Cannot switch modes while pathfinding is running!', 'warning');
+            this.checked = fogMode;
+            return;
+        }
+
+        fogMode = this.checked;
+        if (!fogMode) {
+            gameGrid.clearFog();
+        }
+        showNotification(fogMode ? `🌫️ Fog of war - Naruto only sees walls within ${visionRadius} cells` : '☀️ The fog lifts - Naruto knows the whole map again', 'info');
+    });
+
+    if (radiusSelect) {
+        radiusSelect.value = `${visionRadius}`;
+        radiusSelect.addEventListener('change', function() {
+            visionRadius = parseInt(this.value);
+        });
+    }
+}
+
+/**
+ * Set up the squad planning strategy selector
+ */
+function initializeSquadControls() {
+    const strategySelect = document.getElementById('squad-strategy-select');
+    const strategyDescription = document.getElementById('squad-strategy-description');
+    if (!strategySelect) return;
+
+    strategySelect.innerHTML = '';
+    Object.keys(SquadPlanner.STRATEGIES).forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = SquadPlanner.STRATEGIES[id].name;
+        strategySelect.appendChild(option);
+    });
+    strategySelect.value = squadStrategy;
+
+    const showDescription = () => {
+        if (strategyDescription) {
+            strategyDescription.textContent = SquadPlanner.STRATEGIES[squadStrategy].description;
+        }
+    };
+    showDescription();
+
+    strategySelect.addEventListener('change', function() {
+        squadStrategy = this.value;
+        showDescription();
+        console.log(`👥 Squad strategy: ${SquadPlanner.STRATEGIES[squadStrategy].name}`);
+        if (instantMode) {
+            scheduleInstantSearch();
+        }
+    });
+}
+
+/**
+ * Disable the heuristic controls for algorithms that don't use one
+ */
+function updateHeuristicControlsState() {
+    const definition = Algorithms.get(selectedAlgorithm);
+    const usesHeuristic = !!(definition && definition.usesHeuristic);
+    const heuristicSelect = document.getElementById('heuristic-select');
+    const weightInput = document.getElementById('heuristic-weight');
+
+    if (heuristicSelect) heuristicSelect.disabled = !usesHeuristic;
+    if (weightInput) weightInput.disabled = !usesHeuristic;
+}
+
+/**
+ * Current search options for new pathfinder instances
+ */
+function getSearchOptions() {
+    return {
+        heuristic: selectedHeuristic,
+        weight: heuristicWeight,
+        diagonal: movementOptions.diagonal,
+        cornerCutting: movementOptions.cornerCutting
+    };
+}
+
 /**
  * Initialize background music system
  */
@@ -376,7 +1399,10 @@ function loadBattlefield() {
     gameGrid.resetPathfinding();
 
     // Update stats and visuals
-    stats = { pathLength: 0, nodesExplored: 0, timeTaken: 0 };
+    stats = { pathLength: 0, pathCost: 0, nodesExplored: 0, timeTaken: 0 };
+    clearRunHistory();
+    clearTimeline();
+    closeComparison();
     updateStats();
     updateGridVisuals();
 
@@ -433,7 +1459,10 @@ function generatePattern() {
     gameGrid.resetPathfinding();
 
     // Update stats and visuals
-    stats = { pathLength: 0, nodesExplored: 0, timeTaken: 0 };
+    stats = { pathLength: 0, pathCost: 0, nodesExplored: 0, timeTaken: 0 };
+    clearRunHistory();
+    clearTimeline();
+    closeComparison();
     updateStats();
     updateGridVisuals();
 
@@ -445,13 +1474,18 @@ function generatePattern() {
 
 /**
  * Start pathfinding algorithm - FIXED VERSION
+ * @param {boolean} startPaused - Begin paused after the first expansion (used by Step)
  */
-async function startPathfinding() {
+async function startPathfinding(startPaused = false) {
     if (isPathfinding) {
         showNotification('Pathfinding is already running!', 'warning');
         return;
     }
 
+    if (comparison) {
+        closeComparison();
+    }
+
     if (!gameGrid.startNode || !gameGrid.endNode) {
         showNotification('Please set both start and end points!', 'warning');
         return;
@@ -459,6 +1493,10 @@ async function startPathfinding() {
 
     // Reset previous pathfinding results
     gameGrid.resetPathfinding();
+    gameGrid.clearRouteLegs();
+    gameGrid.clearFog();
+    GridRenderer.resetHeatRange();
+    clearTimeline();
     updateStats();
 
     // Update button state
@@ -472,33 +1510,52 @@ async function startPathfinding() {
     const startTime = performance.now();
 
     try {
-        // Create new pathfinder instance and set current speed
-        const pathfinder = new AStar(gameGrid);
+        // Create new pathfinder instance for the selected algorithm and set current speed
+        pathfinder = Algorithms.create(selectedAlgorithm, gameGrid, getSearchOptions());
         pathfinder.setSpeed(animationSpeed); // CRITICAL: Set speed before starting
+        if ((pathfinder instanceof JumpPointSearch || pathfinder instanceof ThetaStar) && gameGrid.hasWeights()) {
+            showNotification(`⚠️ ${pathfinder.name} ignores terrain and weights - only walls matter`, 'warning');
+        }
+        // A chase replans every tick; in the fog Naruto replans when he sees a wall on his way;
+        // a squad plans every ninja in space and time; with waypoints or clones, every leg gets its own search
+        pursuit = chaseMode ? createPursuit() : null;
+        fog = !pursuit && fogMode ? createFog() : null;
+        squad = !pursuit && !fog && needsSquad() ? createSquad() : null;
+        mission = !pursuit && !fog && !squad && needsMission() ? createMission() : null;
+        if (pursuit && fogMode) {
+            showNotification('⚠️ The fog of war is lifted during a chase', 'warning');
+        } else if (fog && (needsMission() || needsSquad())) {
+            showNotification('⚠️ Waypoints, clones and squad ninjas are ignored in the fog of war', 'warning');
+        } else if (squad && needsMission()) {
+            showNotification('⚠️ Waypoints and clones are ignored while the squad plans together', 'warning');
+        } else if (squad && selectedAlgorithm !== 'spacetime') {
+            showNotification('👥 Squads always plan with Space-Time A* - every ninja needs to know when it stands where', 'info');
+        }
+        if (mission instanceof TargetTour && gameGrid.waypoints.length > 0) {
+            showNotification('⚠️ Waypoints are ignored while Madara clones are on the battlefield', 'warning');
+        }
+        if (pursuit && pursuit.policyId === 'patrol' && gameGrid.waypoints.length === 0) {
+            showNotification('⚠️ Madara has no patrol route - add waypoints for him to walk through', 'warning');
+        }
+        const run = pursuit || fog || squad || mission || pathfinder;
+        if (startPaused) {
+            run.pause();
+        }
+        updatePlaybackButtons();
 
-        console.log(`🚀 Starting pathfinding with speed: ${animationSpeed}ms`);
-
-        // Run A* algorithm with animation, passing the current speed
-        const result = await pathfinder.findPath(true, animationSpeed);
+        console.log(`🚀 Starting ${pathfinder.name} pathfinding with speed: ${animationSpeed}ms`);
 
-        const endTime = performance.now();
-        stats.timeTaken = Math.round(endTime - startTime);
+        // Run the selected algorithm with animation, passing the current speed
+        const result = await run.findPath(true, animationSpeed);
 
-        if (result) {
-            stats.pathLength = Array.isArray(result.path) ? result.path.length : 0;
-            stats.nodesExplored = Array.isArray(result.visitedNodes) ? result.visitedNodes.length : (typeof result.visitedNodes === 'number' ? result.visitedNodes : 0);
-            showNotification(`🎉 Path found! Length: ${stats.pathLength}, Time: ${stats.timeTaken}ms`, 'success');
-        } else {
-            stats.pathLength = 0;
-            stats.nodesExplored = 0;
-            showNotification('❌ No path exists between start and end points!', 'error');
-        }
+        reportRunResult(result, startTime);
 
     } catch (error) {
         console.error('Pathfinding error:', error);
         showNotification('❌ An error occurred during pathfinding!', 'error');
     } finally {
         isPathfinding = false;
+        wasAutoPaused = false;
 
         // Reset button state
         if (startBtn) {
@@ -506,7 +1563,246 @@ async function startPathfinding() {
             startBtn.disabled = false;
         }
 
+        updatePlaybackButtons();
         updateStats();
+        repairIfStale();
+    }
+}
+
+/**
+ * Repair the last D* Lite search after the grid changed, re-evaluating only what the edit affects
+ */
+async function repairPathfinding() {
+    if (isPathfinding || !canRepairPath()) return;
+
+    GridRenderer.resetHeatRange();
+    clearTimeline();
+
+    isPathfinding = true;
+    updatePlaybackButtons();
+    const startTime = performance.now();
+
+    try {
+        pathfinder.setSpeed(animationSpeed);
+        const result = await pathfinder.replan(true, animationSpeed);
+        reportRunResult(result, startTime);
+    } catch (error) {
+        console.error('Path repair error:', error);
+        showNotification('❌ An error occurred while repairing the path!', 'error');
+    } finally {
+        isPathfinding = false;
+        updatePlaybackButtons();
+        updateStats();
+        repairIfStale();
+    }
+}
+
+/**
+ * Edits that landed after the search settled (e.g. while the path was animating) need one more repair
+ */
+function repairIfStale() {
+    if (canRepairPath() && pathfinder.pendingChanges.size > 0) {
+        repairPathfinding();
+    }
+}
+
+/**
+ * Show a finished run: stats, notification, run history, timeline and path overlay
+ * @param {object|null} result - What findPath() / replan() returned
+ * @param {number} startTime - performance.now() when the run started
+ * @param {boolean} quiet - Skip the notification and run history (instant mode runs on every edit)
+ */
+function reportRunResult(result, startTime, quiet = false) {
+    const notify = quiet ? () => {} : showNotification;
+
+    const endTime = performance.now();
+    stats.timeTaken = Math.round(endTime - startTime);
+
+    stats.baseline = null;
+    stats.chase = result && result.chase ? {
+        ticks: result.chase.ticks,
+        outcome: result.chase.outcome,
+        policy: result.chase.policy
+    } : null;
+    stats.fog = result && result.fog ? {
+        replans: result.fog.replans,
+        visionRadius: result.fog.visionRadius,
+        optimalCost: result.fog.optimalCost,
+        change: formatChange(result.fog.optimalCost, result.pathCost)
+    } : null;
+    stats.squad = result && result.squad ? {
+        ninjas: result.squad.routes.length,
+        sumOfCosts: result.squad.sumOfCosts,
+        makespan: result.squad.makespan,
+        strategy: result.squad.strategy,
+        splits: result.squad.splits
+    } : null;
+    stats.legs = result && result.legs ? result.legs.map(leg => leg.pathCost) : null;
+    stats.tour = result && result.tour ? {
+        order: result.tour.order.map(node => node.getLabel()).join(' → '),
+        exact: result.tour.exact,
+        nearestFirstCost: result.tour.nearestFirst.cost,
+        change: formatChange(result.tour.nearestFirst.cost, result.tour.cost)
+    } : null;
+    stats.patrol = result && typeof result.waits === 'number' ? {
+        waits: result.waits,
+        arrivalTime: result.arrivalTime,
+        statesExpanded: result.statesExpanded
+    } : null;
+    stats.deepening = pathfinder instanceof IDAStar ? {
+        iterations: pathfinder.iterations,
+        totalExpansions: pathfinder.totalExpansions,
+        peakStackDepth: pathfinder.peakStackDepth
+    } : null;
+    if (result) {
+        stats.pathLength = Array.isArray(result.path) ? result.path.length : 0;
+        stats.pathCost = typeof result.pathCost === 'number' ? result.pathCost : 0;
+        stats.nodesExplored = Array.isArray(result.visitedNodes) ? result.visitedNodes.length : (typeof result.visitedNodes === 'number' ? result.visitedNodes : 0);
+        // Only Space-Time A* plans around the guards - check where the others walk into one
+        const caught = !result.chase && !result.squad && !result.fog && !stats.patrol && gameGrid.patrols.length > 0 ? gameGrid.findPatrolCollision(result.path) : null;
+        if (result.chase) {
+            const ticks = result.chase.ticks;
+            if (result.chase.outcome === 'captured') {
+                notify(`🏁 Naruto caught Madara in ${ticks} ticks! Route cost: ${stats.pathCost}, ${stats.nodesExplored} nodes searched`, 'success');
+            } else if (result.chase.outcome === 'escaped') {
+                notify(`💨 Madara escaped - still free after ${ticks} ticks`, 'warning');
+            } else {
+                notify(`❌ Naruto has no way to reach Madara (tick ${ticks})`, 'error');
+            }
+        } else if (result.fog) {
+            const { replans, optimalCost, change } = stats.fog;
+            notify(`🌫️ Naruto reached Madara through the fog with ${replans} replans! Walked cost: ${stats.pathCost} vs ${optimalCost} on the full map (${change})`, 'success');
+        } else if (result.squad) {
+            const { ninjas, sumOfCosts, makespan, strategy } = stats.squad;
+            notify(`👥 ${SquadPlanner.STRATEGIES[strategy].name} moved ${ninjas} ninjas without a collision! Sum of costs: ${sumOfCosts}, makespan: ${makespan} steps`, 'success');
+        } else if (caught) {
+            notify(`🥷 ${pathfinder.name} found a path, but Anbu guard ${caught.guard} catches Naruto at step ${caught.time} - try Space-Time A*`, 'warning');
+        } else if (stats.patrol) {
+            notify(`🥷 ${pathfinder.name} slipped past the Anbu! Cost: ${stats.pathCost}, waited ${stats.patrol.waits} steps, arrived at step ${stats.patrol.arrivalTime}`, 'success');
+        } else if (result.tour) {
+            notify(`🎭 ${pathfinder.name} defeated all ${result.legs.length} Madaras! Tour cost: ${stats.pathCost} vs ${stats.tour.nearestFirstCost} nearest-first (${stats.tour.change})`, 'success');
+        } else if (result.legs) {
+            notify(`📍 ${pathfinder.name} cleared all ${result.legs.length} legs! Length: ${stats.pathLength}, Cost: ${stats.pathCost}, Time: ${stats.timeTaken}ms`, 'success');
+        } else if (result.repaired) {
+            notify(`♻️ ${pathfinder.name} repaired the path: ${result.nodesExplored} nodes re-evaluated, Cost: ${stats.pathCost}`, 'success');
+        } else if (result.baseline) {
+            stats.baseline = {
+                nodesExplored: result.baseline.nodesExplored,
+                change: formatChange(result.baseline.nodesExplored, result.nodesExplored)
+            };
+            notify(`⚡ ${pathfinder.name} found a path! Cost: ${stats.pathCost}, expansions: ${result.nodesExplored} vs ${stats.baseline.nodesExplored} for A* (${stats.baseline.change})`, 'success');
+        } else {
+            notify(`🎉 ${pathfinder.name} found a path! Length: ${stats.pathLength}, Cost: ${stats.pathCost}, Time: ${stats.timeTaken}ms`, 'success');
+        }
+    } else {
+        stats.pathLength = 0;
+        stats.pathCost = 0;
+        stats.nodesExplored = 0;
+        if (pathfinder instanceof IDAStar && pathfinder.gaveUp) {
+            notify(`🥵 IDA* gave up after ${pathfinder.totalExpansions} expansions - try a smaller or unweighted map`, 'warning');
+        } else if (pathfinder instanceof SpaceTimeAStar && pathfinder.gaveUp) {
+            notify(`🥵 Space-Time A* gave up after ${pathfinder.statesExpanded} states - the Anbu rounds take ${pathfinder.period} steps to repeat`, 'warning');
+        } else if (fog && fog.outcome === 'lost') {
+            notify(`🌀 Naruto got lost in the fog after ${fog.path.length - 1} steps`, 'warning');
+        } else if (fog && fog.outcome === 'unreachable') {
+            notify(`❌ Naruto ran out of ways to Madara after ${fog.replans} replans!`, 'error');
+        } else if (squad && squad.gaveUp) {
+            notify(`🥵 Conflict-Based Search gave up after ${squad.splits} conflicts - the ninjas may have no way past each other`, 'warning');
+        } else if (squad && squad.failedAgent !== null && squad.patrolledGoal) {
+            notify(`❌ An Anbu guard patrols over ninja ${squad.failedAgent}'s goal - it could never stay there`, 'error');
+        } else if (squad && squad.failedAgent !== null && squad.strategy === 'prioritized' && squad.failedAgent > 1) {
+            notify(`❌ Ninja ${squad.failedAgent} is boxed in by the ninjas planned before it - try Conflict-Based Search`, 'error');
+        } else if (squad && squad.failedAgent !== null) {
+            notify(`❌ Ninja ${squad.failedAgent} cannot reach its goal!`, 'error');
+        } else if (squad) {
+            notify('❌ The squad cannot all reach their goals without colliding!', 'error');
+        } else if (mission instanceof TargetTour && mission.unreachable) {
+            notify(`❌ Naruto cannot reach ${mission.unreachable.getLabel()}!`, 'error');
+        } else if (mission && mission.failedLeg !== null) {
+            notify(`❌ No path for the ${mission.describeLeg(mission.failedLeg)} leg!`, 'error');
+        } else {
+            notify('❌ No path exists between start and end points!', 'error');
+        }
+    }
+
+    // A chase, a walk in the fog or a squad is many searches - not comparable with single runs
+    if (!quiet && !pursuit && !fog && !squad) {
+        recordRun(pathfinder, result);
+    }
+    // The timeline records a single search, so a mission's legs are not replayed; a chase replays its ticks
+    if (pursuit) {
+        showChaseReplay(pursuit);
+    } else if (!mission && !squad && !fog) {
+        showTimeline(pathfinder);
+    }
+    // Squad routes are told apart by their colors, a single polyline would mix them up;
+    // the fog walk is painted on the cells, so the polyline shows the optimal path to compare it with
+    if (fog) {
+        showPathOverlay({ path: fog.optimalPath });
+    } else {
+        showPathOverlay(squad ? null : pursuit || mission || pathfinder);
+    }
+    inspectNode();
+}
+
+/**
+ * Pause or resume the running search
+ */
+function togglePause() {
+    if (!isPathfinding || !pathfinder) {
+        showNotification('Nothing to pause - start a search first!', 'warning');
+        return;
+    }
+
+    wasAutoPaused = false;
+    const run = getRunControl();
+    if (run.isPaused) {
+        run.resume();
+        showNotification('▶️ Search resumed', 'info');
+    } else {
+        run.pause();
+        // A clone tour searches the costs between its stops before the first leg - no leg to report on yet
+        if (mission instanceof TargetTour && mission.planProgress) {
+            const { searches, total } = mission.planProgress;
+            showNotification(`⏸️ Paused - ordering the clones: ${searches}/${total} searches`, 'info');
+        } else {
+            const searchStats = pathfinder.getStats();
+            const frontier = typeof searchStats.openSetSize === 'number' ? `, open set: ${searchStats.openSetSize}` : '';
+            const pass = typeof searchStats.iterations === 'number' ? `, pass ${searchStats.iterations} (f ≤ ${GridRenderer.formatScore(searchStats.bound)})` : '';
+            showNotification(`⏸️ Paused - explored: ${searchStats.nodesExplored}${frontier}${pass}`, 'info');
+        }
+    }
+    updatePlaybackButtons();
+}
+
+/**
+ * Advance the search by exactly one node expansion
+ * Starts a paused search if none is running
+ */
+function stepPathfinding() {
+    if (!isPathfinding) {
+        startPathfinding(true);
+        return;
+    }
+
+    getRunControl().step();
+    updatePlaybackButtons();
+}
+
+/**
+ * Keep the pause/step buttons in sync with the search state
+ */
+function updatePlaybackButtons() {
+    const pauseBtn = document.getElementById('pause-btn');
+    const stepBtn = document.getElementById('step-btn');
+    const isPaused = isPathfinding && pathfinder && getRunControl().isPaused;
+
+    if (pauseBtn) {
+        pauseBtn.disabled = !isPathfinding;
+        pauseBtn.innerHTML = isPaused ? '<span class="btn-icon">▶️</span> Resume' : '<span class="btn-icon">⏸️</span> Pause';
+    }
+    if (stepBtn) {
+        stepBtn.disabled = isPathfinding && !isPaused;
     }
 }
 
@@ -520,7 +1816,10 @@ function resetGrid() {
     }
 
     gameGrid.resetGrid();
-    stats = { pathLength: 0, nodesExplored: 0, timeTaken: 0 };
+    stats = { pathLength: 0, pathCost: 0, nodesExplored: 0, timeTaken: 0 };
+    clearRunHistory();
+    clearTimeline();
+    closeComparison();
     updateStats();
     showNotification('🔄 Grid reset to initial state!', 'success');
 }
@@ -535,7 +1834,12 @@ function clearPath() {
     }
 
     gameGrid.resetPathfinding();
-    stats = { pathLength: 0, nodesExplored: 0, timeTaken: 0 };
+    gameGrid.clearRouteLegs();
+    gameGrid.setPatrolTime(0);
+    gameGrid.clearFog();
+    GridRenderer.resetHeatRange();
+    clearTimeline();
+    stats = { pathLength: 0, pathCost: 0, nodesExplored: 0, timeTaken: 0 };
     updateStats();
     showNotification('🧹 Pathfinding results cleared!', 'success');
 }
@@ -550,7 +1854,10 @@ function resizeGrid(newSize) {
     }
 
     gameGrid.resize(newSize, newSize);
-    stats = { pathLength: 0, nodesExplored: 0, timeTaken: 0 };
+    stats = { pathLength: 0, pathCost: 0, nodesExplored: 0, timeTaken: 0 };
+    clearRunHistory();
+    clearTimeline();
+    closeComparison();
     updateStats();
     showNotification(`📐 Grid resized to ${newSize}x${newSize}!`, 'success');
 }
@@ -560,12 +1867,159 @@ function resizeGrid(newSize) {
  */
 function updateStats() {
     const pathLengthEl = document.getElementById('path-length');
+    const pathCostEl = document.getElementById('path-cost');
     const nodesExploredEl = document.getElementById('nodes-explored');
     const timeTakenEl = document.getElementById('time-taken');
+    const euclideanLengthEl = document.getElementById('euclidean-length');
 
     if (pathLengthEl) pathLengthEl.textContent = typeof stats.pathLength === 'number' ? stats.pathLength : '-';
+    if (pathCostEl) pathCostEl.textContent = typeof stats.pathCost === 'number' ? stats.pathCost : '-';
     if (nodesExploredEl) nodesExploredEl.textContent = typeof stats.nodesExplored === 'number' ? stats.nodesExplored : '-';
     if (timeTakenEl) timeTakenEl.textContent = stats.timeTaken ? `${stats.timeTaken}` : '-';
+    if (euclideanLengthEl) euclideanLengthEl.textContent = typeof stats.euclideanLength === 'number' ? stats.euclideanLength : '-';
+
+    // IDA* trades memory for repeated work - show both sides of the deal
+    const deepeningStat = document.getElementById('deepening-stat');
+    const deepeningEl = document.getElementById('deepening-summary');
+    if (deepeningStat) deepeningStat.hidden = !stats.deepening;
+    if (deepeningEl && stats.deepening) {
+        const { iterations, totalExpansions, peakStackDepth } = stats.deepening;
+        deepeningEl.textContent = `${iterations} · ${totalExpansions} expansions · peak stack ${peakStackDepth}`;
+    }
+
+    // Missions list what each leg cost, in order
+    const legsStat = document.getElementById('legs-stat');
+    const legsEl = document.getElementById('legs-summary');
+    if (legsStat) legsStat.hidden = !stats.legs;
+    if (legsEl && stats.legs) {
+        legsEl.textContent = stats.legs.join(' → ');
+    }
+
+    // Clone tours show the order they chose and how the naive nearest-first order compares
+    const tourStat = document.getElementById('tour-stat');
+    const tourEl = document.getElementById('tour-summary');
+    if (tourStat) tourStat.hidden = !stats.tour;
+    if (tourEl && stats.tour && !stats.tour.order) {
+        tourEl.textContent = `ordering the clones · ${stats.tour.searches}/${stats.tour.total} searches`;
+    } else if (tourEl && stats.tour) {
+        const { order, exact, nearestFirstCost, change } = stats.tour;
+        tourEl.textContent = `${order} (${exact ? 'exact' : 'heuristic'}) · ${change} vs nearest-first ${nearestFirstCost}`;
+    }
+
+    // Chases count ticks while running, then say how they ended
+    const chaseStat = document.getElementById('chase-stat');
+    const chaseEl = document.getElementById('chase-summary');
+    if (chaseStat) chaseStat.hidden = !stats.chase;
+    if (chaseEl && stats.chase) {
+        const { ticks, outcome, policy } = stats.chase;
+        const endings = {
+            captured: `caught at tick ${ticks}`,
+            escaped: `escaped after ${ticks} ticks`,
+            unreachable: `out of reach at tick ${ticks}`
+        };
+        chaseEl.textContent = `${endings[outcome] || `tick ${ticks}`} · ${EvasionPolicies.get(policy).name}`;
+    }
+
+    // The fog walk counts how often Naruto had to rethink and what not knowing the map cost him
+    const fogStat = document.getElementById('fog-stat');
+    const fogEl = document.getElementById('fog-summary');
+    if (fogStat) fogStat.hidden = !stats.fog;
+    if (fogEl && stats.fog) {
+        const { replans, visionRadius: radius, optimalCost, change } = stats.fog;
+        fogEl.textContent = `${replans} replans · walked ${stats.pathCost} vs optimal ${optimalCost} (${change}) · sight ${radius}`;
+    }
+
+    // Squads report the classic multi-agent costs: every route added up, and when the last ninja arrives
+    const squadStat = document.getElementById('squad-stat');
+    const squadEl = document.getElementById('squad-summary');
+    if (squadStat) squadStat.hidden = !stats.squad;
+    if (squadEl && stats.squad) {
+        const { ninjas, sumOfCosts, makespan, strategy, splits } = stats.squad;
+        const settled = strategy === 'cbs' ? ` · ${splits} conflicts split` : '';
+        squadEl.textContent = `${ninjas} ninjas · sum of costs ${sumOfCosts} · makespan ${makespan}${settled}`;
+    }
+
+    // Space-Time A* says how long Naruto hid from the guards and when he got there
+    const patrolStat = document.getElementById('patrol-stat');
+    const patrolEl = document.getElementById('patrol-summary');
+    if (patrolStat) patrolStat.hidden = !stats.patrol;
+    if (patrolEl && stats.patrol) {
+        const { waits, arrivalTime, statesExpanded } = stats.patrol;
+        patrolEl.textContent = `waited ${waits} · arrived at step ${arrivalTime} · ${statesExpanded} states`;
+    }
+
+    // Jump Point Search reports how many nodes plain A* needed on the same map
+    const jumpSavingsStat = document.getElementById('jump-savings-stat');
+    const jumpSavingsEl = document.getElementById('jump-savings');
+    if (jumpSavingsStat) jumpSavingsStat.hidden = !stats.baseline;
+    if (jumpSavingsEl && stats.baseline) {
+        jumpSavingsEl.textContent = `${stats.baseline.nodesExplored} expansions (JPS ${stats.baseline.change})`;
+    }
+}
+
+/**
+ * Change against a baseline (node counts, tour costs), e.g. "-82%"
+ */
+function formatChange(baseline, value) {
+    if (baseline === 0) return '±0%';
+    const change = Math.round((value - baseline) / baseline * 100);
+    return change > 0 ? `+${change}%` : `${change}%`;
+}
+
+/**
+ * Remember a finished run so different algorithms/heuristics can be compared on the same map
+ */
+function recordRun(finder, result) {
+    runHistory.unshift({
+        label: getRunLabel(selectedAlgorithm, finder.heuristic, finder.heuristicWeight),
+        pathLength: result ? result.path.length : 0,
+        pathCost: result ? result.pathCost : 0,
+        nodesExplored: result ? result.nodesExplored : finder.nodesExplored,
+        found: !!result
+    });
+    runHistory = runHistory.slice(0, 6); // Keep the panel compact
+
+    renderRunHistory();
+}
+
+/**
+ * Short name for a run, e.g. "A* · Manhattan ×1.5"
+ */
+function getRunLabel(algorithmId, heuristic, weight) {
+    const definition = Algorithms.get(algorithmId) || Algorithms.get(Algorithms.defaultId);
+    let label = definition.name;
+    if (definition.usesHeuristic) {
+        label += ` · ${Heuristics.get(heuristic).name}`;
+        if (weight > 1) label += ` ×${weight}`;
+    }
+    return label;
+}
+
+/**
+ * Forget previous runs (the map changed, so they are no longer comparable)
+ */
+function clearRunHistory() {
+    runHistory = [];
+    renderRunHistory();
+}
+
+/**
+ * Show recent runs under the stats
+ */
+function renderRunHistory() {
+    const historyEl = document.getElementById('run-history');
+    if (!historyEl) return;
+
+    historyEl.innerHTML = '';
+    runHistory.forEach(run => {
+        const item = document.createElement('li');
+        const nodes = document.createElement('span');
+        nodes.className = 'run-nodes';
+        nodes.textContent = `${run.nodesExplored} nodes`;
+        item.textContent = `${run.label}: ${run.found ? `len ${run.pathLength}, cost ${run.pathCost}` : 'no path'}, `;
+        item.appendChild(nodes);
+        historyEl.appendChild(item);
+    });
 }
 
 /**
@@ -593,9 +2047,17 @@ function initializeKeyboardShortcuts() {
         }
 
         switch (event.key.toLowerCase()) {
-            case ' ': // Spacebar - start pathfinding
+            case ' ': // Spacebar - start pathfinding, or pause/resume a running search
                 event.preventDefault();
-                startPathfinding();
+                if (isPathfinding) {
+                    togglePause();
+                } else {
+                    startPathfinding();
+                }
+                break;
+            case 'n': // N - advance one node expansion
+                event.preventDefault();
+                stepPathfinding();
                 break;
             case 'r': // R - reset grid
                 event.preventDefault();
@@ -629,6 +2091,10 @@ function initializeKeyboardShortcuts() {
                 event.preventDefault();
                 toggleBackgroundMusic();
                 break;
+            case 'w': // W - Toggle between obstacle and weight brush
+                event.preventDefault();
+                selectTool(gameGrid.activeTool === 'weight' ? 'wall' : 'weight');
+                break;
         }
     });
 }
@@ -957,12 +2423,20 @@ window.addEventListener('resize', function() {
 document.addEventListener('visibilitychange', function() {
     if (document.hidden) {
         // Page is hidden, pause any ongoing animations
-        if (isPathfinding) {
+        if (isPathfinding && pathfinder && !getRunControl().isPaused) {
             console.log('⏸️ Pausing pathfinding due to page visibility change');
+            getRunControl().pause();
+            wasAutoPaused = true;
+            updatePlaybackButtons();
         }
     } else {
         // Page is visible again
         console.log('👁️ Page visible again, ready for ninja action!');
+        if (wasAutoPaused && isPathfinding && pathfinder) {
+            getRunControl().resume();
+            updatePlaybackButtons();
+        }
+        wasAutoPaused = false;
     }
 });
 
@@ -973,6 +2447,7 @@ window.narutoPathfinder = {
     grid: () => gameGrid,
     stats: () => stats,
     isRunning: () => isPathfinding,
+    algorithms: Algorithms,
     startPathfinding,
     resetGrid,
     clearPath,
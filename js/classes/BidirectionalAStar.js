@@ -0,0 +1,187 @@
+/**
+ * Bidirectional A*
+ * Naruto and Madara charge at each other - two frontiers that meet in the middle
+ *
+ * Each side keeps its own g, f, parents and sets, since one node can be reached from both ends.
+ * Node.g / h / f / parent show whichever side touched the node last (for overlays and the timeline).
+ */
+class BidirectionalAStar extends Pathfinder {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Bidirectional A*';
+        this.forward = null; // Search state growing from Naruto
+        this.backward = null; // Search state growing from Madara
+        this.bestCost = Infinity; // Cheapest complete route seen so far (mu)
+        this.meetingNode = null; // Where that route joins both sides
+    }
+
+    /**
+     * Search from both ends, always expanding the side with the smaller frontier
+     * Stops once neither frontier can beat the best meeting found:
+     * max(min f forward, min f backward) >= best cost, which keeps the result optimal
+     */
+    *search(startNode, endNode) {
+        this.forward = this.createSide('forward', startNode, endNode);
+        this.backward = this.createSide('backward', endNode, startNode);
+
+        for (const side of [this.forward, this.backward]) {
+            this.setScores(side, side.root, 0, null);
+            side.open.push(side.root);
+            yield this.sideEvent('push', side, side.root);
+        }
+
+        while (!this.forward.open.isEmpty() && !this.backward.open.isEmpty()) {
+            if (Math.max(this.topF(this.forward), this.topF(this.backward)) >= this.bestCost) {
+                break;
+            }
+
+            const side = this.forward.open.size <= this.backward.open.size ? this.forward : this.backward;
+            const other = side === this.forward ? this.backward : this.forward;
+
+            const currentNode = side.open.pop();
+            side.closed.add(currentNode);
+            yield { type: 'expand', node: currentNode, direction: side.direction };
+
+            for (const neighbor of this.getNeighbors(currentNode)) {
+                if (side.closed.has(neighbor) || neighbor.isWall) {
+                    continue;
+                }
+
+                // The backward side walks edges in reverse, so it pays for entering currentNode
+                const stepCost = side === this.forward
+                    ? this.getMoveCost(currentNode, neighbor)
+                    : this.getMoveCost(neighbor, currentNode);
+                const tentativeG = side.g.get(currentNode) + stepCost;
+
+                if (tentativeG >= this.getG(side, neighbor)) {
+                    continue;
+                }
+
+                this.setScores(side, neighbor, tentativeG, currentNode);
+                if (side.open.has(neighbor)) {
+                    side.open.update(neighbor);
+                    yield this.sideEvent('relax', side, neighbor);
+                } else {
+                    side.open.push(neighbor);
+                    yield this.sideEvent('push', side, neighbor);
+                }
+
+                // Both sides have reached this node - a complete route exists through it
+                const routeCost = tentativeG + this.getG(other, neighbor);
+                if (routeCost < this.bestCost) {
+                    this.bestCost = routeCost;
+                    this.meetingNode = neighbor;
+                }
+            }
+        }
+
+        if (!this.meetingNode) {
+            yield { type: 'exhausted' };
+            return;
+        }
+
+        // Rewire parents along the joined route so reconstructPath(endNode) walks all of it
+        const path = this.joinPath(this.meetingNode);
+        path.forEach((node, index) => {
+            node.parent = index > 0 ? path[index - 1] : null;
+        });
+        yield { type: 'found', node: endNode, path };
+    }
+
+    /**
+     * Fresh search state for one side
+     * @param {string} direction - 'forward' or 'backward'
+     * @param {Node} root - Where this side starts
+     * @param {Node} target - Where this side is heading (for the heuristic)
+     */
+    createSide(direction, root, target) {
+        const side = {
+            direction,
+            root,
+            target,
+            g: new Map(),
+            h: new Map(),
+            f: new Map(),
+            parent: new Map(),
+            closed: new Set()
+        };
+        // Lowest f first, ties to the lowest h - same ordering as AStar, but on this side's scores
+        side.open = new PriorityQueue((a, b) => (side.f.get(a) - side.f.get(b)) || (side.h.get(a) - side.h.get(b)));
+        return side;
+    }
+
+    /**
+     * Record a node's scores for one side, mirrored onto the node for display
+     */
+    setScores(side, node, g, parent) {
+        const h = this.estimate(node, side.target);
+        side.g.set(node, g);
+        side.h.set(node, h);
+        side.f.set(node, g + h);
+        side.parent.set(node, parent);
+
+        node.g = g;
+        node.h = h;
+        node.f = g + h;
+        node.parent = parent;
+    }
+
+    /**
+     * Cost-to-come on one side, Infinity if that side has not reached the node
+     */
+    getG(side, node) {
+        return side.g.has(node) ? side.g.get(node) : Infinity;
+    }
+
+    /**
+     * Lowest f on a side's frontier (Infinity when it is empty)
+     */
+    topF(side) {
+        return side.open.isEmpty() ? Infinity : side.f.get(side.open.peek());
+    }
+
+    /**
+     * Push/relax event tagged with the side it came from
+     */
+    sideEvent(type, side, node) {
+        return { ...this.frontierEvent(type, node), direction: side.direction };
+    }
+
+    /**
+     * Full route start -> meeting node -> end, from both sides' parent maps
+     */
+    joinPath(meetingNode) {
+        const path = [];
+        for (let node = meetingNode; node; node = this.forward.parent.get(node)) {
+            path.unshift(node);
+        }
+        for (let node = this.backward.parent.get(meetingNode); node; node = this.backward.parent.get(node)) {
+            path.push(node);
+        }
+        return path;
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.forward = null;
+        this.backward = null;
+        this.bestCost = Infinity;
+        this.meetingNode = null;
+        super.reset();
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        const sides = [this.forward, this.backward].filter(Boolean);
+        return {
+            ...super.getStats(),
+            openSetSize: sides.reduce((total, side) => total + side.open.size, 0),
+            closedSetSize: sides.reduce((total, side) => total + side.closed.size, 0),
+            bestCost: this.bestCost
+        };
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * Breadth-First Search
+ * Like a shadow clone squad spreading out one step at a time
+ * Ignores weights - finds the path with the fewest steps
+ */
+class BreadthFirst extends Pathfinder {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Breadth-First';
+        this.queue = []; // Nodes waiting to be expanded, first in first out
+    }
+
+    /**
+     * Search level by level from the start node
+     */
+    *search(startNode, endNode) {
+        const discovered = new Set([startNode]);
+        startNode.g = 0;
+        this.queue.push(startNode);
+        yield this.frontierEvent('push', startNode);
+
+        while (this.queue.length > 0) {
+            const currentNode = this.queue.shift();
+
+            if (currentNode === endNode) {
+                yield { type: 'found', node: currentNode };
+                return;
+            }
+
+            yield { type: 'expand', node: currentNode };
+
+            for (const neighbor of this.getNeighbors(currentNode)) {
+                if (discovered.has(neighbor) || neighbor.isWall) {
+                    continue;
+                }
+
+                discovered.add(neighbor);
+                neighbor.parent = currentNode;
+                neighbor.g = currentNode.g + 1;
+                this.queue.push(neighbor);
+                yield this.frontierEvent('push', neighbor);
+            }
+        }
+
+        yield { type: 'exhausted' };
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.queue = [];
+        super.reset();
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Comparison - Runs several algorithms side by side on copies of the same battlefield
+ * Like a Chunin Exam bracket: same arena, same clock, may the best jutsu win
+ */
+class Comparison {
+    /**
+     * @param {Grid} grid - The battlefield to copy into every pane
+     * @param {object[]} entries - One per pane: { algorithm, label, options }
+     */
+    constructor(grid, entries) {
+        this.panes = entries.map(entry => {
+            const paneGrid = grid.clone();
+            return {
+                label: entry.label,
+                grid: paneGrid,
+                finder: Algorithms.create(entry.algorithm, paneGrid, entry.options),
+                stepper: null,
+                computeTime: 0, // Milliseconds spent searching, animation delays excluded
+                done: false,
+                result: null
+            };
+        });
+        this.isRunning = false;
+        this.ticks = 0;
+        this.onUpdate = null; // Optional callback(rows) after every tick
+    }
+
+    /**
+     * Draw every pane into a container: a title plus a read-only grid
+     * @param {HTMLElement} container - Element that holds the panes
+     */
+    mount(container) {
+        container.innerHTML = '';
+        this.panes.forEach(pane => {
+            const paneElement = document.createElement('div');
+            paneElement.className = 'comparison-pane';
+
+            const title = document.createElement('h4');
+            title.textContent = pane.label;
+            paneElement.appendChild(title);
+
+            const gridElement = document.createElement('div');
+            paneElement.appendChild(gridElement);
+            container.appendChild(paneElement);
+
+            pane.grid.render(gridElement, false);
+            gridElement.classList.add('comparison-grid');
+        });
+    }
+
+    /**
+     * Run every pane on one shared clock - each tick advances every pane by one expansion
+     * @param {number} speed - Delay between ticks in milliseconds
+     * @returns {Promise<object[]>} One row per pane (see getRows)
+     */
+    async run(speed) {
+        if (this.isRunning) return this.getRows();
+
+        this.isRunning = true;
+        this.ticks = 0;
+        this.panes.forEach(pane => {
+            pane.done = !pane.finder.beginRun();
+            pane.stepper = pane.done ? null : pane.finder.createStepper(
+                pane.finder.search(pane.finder.getStartNode(), pane.finder.getEndNode())
+            );
+        });
+
+        while (this.isRunning && this.panes.some(pane => !pane.done)) {
+            this.panes.filter(pane => !pane.done).forEach(pane => this.tick(pane));
+            this.ticks++;
+            this.notify();
+
+            if (this.panes.some(pane => !pane.done)) {
+                await new Promise(resolve => setTimeout(resolve, speed));
+            }
+        }
+
+        // Show every winning route at once
+        if (this.isRunning) {
+            await Promise.all(this.panes
+                .filter(pane => pane.result)
+                .map(pane => pane.finder.animatePath(speed)));
+        }
+
+        this.isRunning = false;
+        return this.getRows();
+    }
+
+    /**
+     * Advance one pane by a single expansion and wrap it up when its search ends
+     */
+    tick(pane) {
+        const tickStart = performance.now();
+        const hasMore = pane.finder.advance(pane.stepper, true);
+        pane.computeTime += performance.now() - tickStart;
+
+        if (hasMore) return;
+
+        pane.done = true;
+        const goalNode = pane.stepper.goalNode;
+        if (goalNode) {
+            pane.finder.path = pane.finder.reconstructPath(goalNode);
+            pane.result = {
+                pathLength: pane.finder.path.length,
+                pathCost: pane.finder.calculatePathCost(pane.finder.path)
+            };
+        }
+        pane.finder.finishRun();
+    }
+
+    /**
+     * Stop every pane
+     */
+    stop() {
+        this.isRunning = false;
+        this.panes.forEach(pane => pane.finder.stop());
+    }
+
+    /**
+     * Current numbers for every pane: { label, done, found, pathCost, pathLength, nodesExplored, timeTaken }
+     */
+    getRows() {
+        return this.panes.map(pane => ({
+            label: pane.label,
+            done: pane.done,
+            found: !!pane.result,
+            pathCost: pane.result ? pane.result.pathCost : null,
+            pathLength: pane.result ? pane.result.pathLength : null,
+            nodesExplored: pane.finder.nodesExplored,
+            timeTaken: Math.round(pane.computeTime * 100) / 100
+        }));
+    }
+
+    /**
+     * Report progress to the onUpdate listener (if any)
+     */
+    notify() {
+        if (this.onUpdate) {
+            this.onUpdate(this.getRows());
+        }
+    }
+}
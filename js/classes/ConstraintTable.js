@@ -0,0 +1,84 @@
+/**
+ * Constraint Table - Where and when a ninja may not be
+ * Like a squad leader's orders: stay off that cell at step 4, don't take that corridor at step 7
+ *
+ * Space-Time A* asks it before every move (see SpaceTimeAStar.constraints). A cell can be forbidden at one
+ * time step, a move at one time step (two ninjas walking past each other), or a cell from some time on for
+ * good - where a ninja that already arrived stands.
+ */
+class ConstraintTable {
+    constructor() {
+        this.cells = new Set(); // "row,col@time" cells forbidden at one time step
+        this.moves = new Set(); // "row,col>row,col@time" moves forbidden at the step they arrive
+        this.heldFrom = new Map(); // Cell -> time step it is taken from, for good
+        this.lastBlocked = new Map(); // Cell -> latest time step it is forbidden at (Infinity when held)
+        this.horizon = 0; // Latest time step any constraint mentions - after it, nothing changes
+    }
+
+    /**
+     * Forbid standing on a cell at a time step
+     */
+    blockCell(node, time) {
+        this.cells.add(`${node.row},${node.col}@${time}`);
+        this.noteBlocked(node, time);
+    }
+
+    /**
+     * Forbid a move that arrives at a time step
+     */
+    blockMove(from, to, time) {
+        this.moves.add(`${from.row},${from.col}>${to.row},${to.col}@${time}`);
+        this.horizon = Math.max(this.horizon, time);
+    }
+
+    /**
+     * Forbid a cell from a time step on
+     */
+    holdCell(node, time) {
+        const held = this.heldFrom.has(node) ? this.heldFrom.get(node) : Infinity;
+        this.heldFrom.set(node, Math.min(held, time));
+        this.lastBlocked.set(node, Infinity);
+        this.horizon = Math.max(this.horizon, time);
+    }
+
+    /**
+     * Remember the latest time a cell is forbidden at
+     */
+    noteBlocked(node, time) {
+        const last = this.lastBlocked.has(node) ? this.lastBlocked.get(node) : -1;
+        this.lastBlocked.set(node, Math.max(last, time));
+        this.horizon = Math.max(this.horizon, time);
+    }
+
+    /**
+     * Whether stepping (or waiting, when from is to) into a cell, arriving at a time step, is forbidden
+     */
+    blocks(from, to, time) {
+        if (this.heldFrom.has(to) && this.heldFrom.get(to) <= time) return true;
+        if (this.cells.has(`${to.row},${to.col}@${time}`)) return true;
+        return from !== to && this.moves.has(`${from.row},${from.col}>${to.row},${to.col}@${time}`);
+    }
+
+    /**
+     * Latest time step a cell is forbidden at: -1 if never, Infinity if it is held for good
+     * A ninja can only stop on its goal after this
+     */
+    lastBlockedAt(node) {
+        return this.lastBlocked.has(node) ? this.lastBlocked.get(node) : -1;
+    }
+
+    /**
+     * Keep everyone else off a planned route: its cell at every step, the move back against each step,
+     * and its last cell from arrival on
+     * @param {Node[]} path - One cell per time step, starting at time 0
+     */
+    reservePath(path) {
+        path.forEach((node, time) => {
+            this.blockCell(node, time);
+            if (time > 0 && path[time - 1] !== node) {
+                this.blockMove(node, path[time - 1], time);
+            }
+        });
+        this.holdCell(path[path.length - 1], path.length - 1);
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * D* Lite - Incremental replanning
+ * Like a Shadow Clone scout: when the battlefield changes, only the affected ground is searched again
+ *
+ * Searches backward from Madara, keeping g (settled cost to Madara) and rhs (one-step lookahead) for
+ * every node it has touched. When walls, weights or Naruto's position change, only nodes whose
+ * g and rhs stop agreeing are put back on the queue - the rest of the search is reused.
+ * Node.g shows the cost from the node to Madara, and Node.parent the next step toward Madara.
+ */
+class DStarLite extends Pathfinder {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'D* Lite';
+        this.start = null;
+        this.goal = null;
+        this.lastStart = null; // Naruto's position when km was last updated
+        this.km = 0; // Key modifier - how far Naruto has moved since the queue was built
+        this.gScores = new Map();
+        this.rhsScores = new Map();
+        this.keys = new Map(); // Queue key of every queued node: [k1, k2]
+        this.open = this.createQueue();
+        this.knownCells = new Map(); // node -> wall/weight the search last saw, to spot edits
+        this.pendingChanges = new Set(); // Cells edited while a run is going
+        this.resuming = false; // true while replan() reuses the previous search
+        this.restarts = 0;
+        this.keyScale = 1; // costScale the queue keys were computed with
+    }
+
+    /**
+     * Search (or repair) from Madara until Naruto's cost is settled, then walk downhill to Madara
+     */
+    *search(startNode, endNode) {
+        if (!this.resuming || !this.hasState()) {
+            yield* this.initialize(startNode, endNode);
+        } else {
+            // Cheaper terrain rescales the heuristic, which would invalidate every queued key
+            const changedCells = this.costScale === this.keyScale ? this.findChangedCells() : null;
+            yield* this.applyChanges(changedCells);
+        }
+
+        yield* this.computeShortestPath();
+
+        if (this.getG(this.start) === Infinity) {
+            yield { type: 'exhausted' };
+            return;
+        }
+
+        const path = this.extractPath();
+        path.forEach((node, index) => {
+            node.parent = index > 0 ? path[index - 1] : null;
+        });
+        yield { type: 'found', node: this.goal, path };
+    }
+
+    /**
+     * Repair the last search after the grid changed, instead of starting over
+     * Same contract as findPath(); only the nodes that had to be re-evaluated are shown
+     */
+    async replan(animate = true, overrideSpeed = null) {
+        this.resuming = true;
+        try {
+            return await this.findPath(animate, overrideSpeed);
+        } finally {
+            this.resuming = false;
+        }
+    }
+
+    /**
+     * Whether a previous search exists on this grid that replan() can reuse
+     */
+    hasState() {
+        return this.goal !== null;
+    }
+
+    /**
+     * Record a cell the user edited, so a running search picks it up before its next expansion
+     */
+    noteChange(node) {
+        this.pendingChanges.add(node);
+    }
+
+    /**
+     * Fresh search state: everything unknown, Madara consistent at cost 0
+     */
+    *initialize(startNode, endNode) {
+        this.start = startNode;
+        this.lastStart = startNode;
+        this.goal = endNode;
+        this.km = 0;
+        this.keyScale = this.costScale;
+        this.gScores = new Map();
+        this.rhsScores = new Map();
+        this.keys = new Map();
+        this.open = this.createQueue();
+        this.pendingChanges.clear();
+        this.rememberCells();
+
+        this.rhsScores.set(endNode, 0);
+        yield* this.enqueue(endNode);
+    }
+
+    /**
+     * Priority queue ordered by [k1, k2], smallest first
+     */
+    createQueue() {
+        return new PriorityQueue((a, b) => this.compareKeys(this.keys.get(a), this.keys.get(b)));
+    }
+
+    /**
+     * Lexicographic key comparison
+     * k1 values are sums of √2 steps and heuristics, so near-equal ones count as equal
+     */
+    compareKeys(a, b) {
+        const difference = a[0] - b[0];
+        if (Math.abs(difference) > 1e-9) return difference;
+        return a[1] - b[1];
+    }
+
+    /**
+     * [min(g, rhs) + h(Naruto, node) + km, min(g, rhs)]
+     */
+    calculateKey(node) {
+        const best = Math.min(this.getG(node), this.getRhs(node));
+        return [best + this.estimate(node, this.start) + this.km, best];
+    }
+
+    getG(node) {
+        return this.gScores.has(node) ? this.gScores.get(node) : Infinity;
+    }
+
+    getRhs(node) {
+        return this.rhsScores.has(node) ? this.rhsScores.get(node) : Infinity;
+    }
+
+    /**
+     * Expand inconsistent nodes until Naruto's node is consistent and nothing cheaper is queued
+     */
+    *computeShortestPath() {
+        while (!this.open.isEmpty() &&
+               (this.compareKeys(this.keys.get(this.open.peek()), this.calculateKey(this.start)) < 0 ||
+                this.getRhs(this.start) !== this.getG(this.start))) {
+            // Edits made while the search runs are applied before the next expansion
+            if (this.pendingChanges.size > 0) {
+                const edited = [...this.pendingChanges];
+                this.pendingChanges.clear();
+                yield* this.applyChanges(edited);
+                continue;
+            }
+
+            const node = this.open.peek();
+            const oldKey = this.keys.get(node);
+            const newKey = this.calculateKey(node);
+
+            // Naruto moved since this node was queued - requeue with the up-to-date key
+            if (this.compareKeys(oldKey, newKey) < 0) {
+                this.keys.set(node, newKey);
+                this.open.update(node);
+                continue;
+            }
+
+            this.open.pop();
+            this.keys.delete(node);
+            yield { type: 'expand', node, direction: 'backward' };
+
+            if (this.getG(node) > this.getRhs(node)) {
+                // Overconsistent: the cost dropped, settle it and tell the neighbors
+                this.gScores.set(node, this.getRhs(node));
+                for (const neighbor of this.getNeighbors(node)) {
+                    yield* this.updateVertex(neighbor);
+                }
+            } else {
+                // Underconsistent: the cost went up, forget it and re-derive it and the neighbors
+                this.gScores.set(node, Infinity);
+                for (const neighbor of [node, ...this.getNeighbors(node)]) {
+                    yield* this.updateVertex(neighbor);
+                }
+            }
+        }
+    }
+
+    /**
+     * Recompute a node's rhs from its successors and (re)queue it if g and rhs disagree
+     */
+    *updateVertex(node) {
+        if (node !== this.goal) {
+            let best = Infinity;
+            let bestNext = null;
+            if (!node.isWall) {
+                for (const next of this.getNeighbors(node)) {
+                    const cost = this.getMoveCost(node, next) + this.getG(next);
+                    if (cost < best) {
+                        best = cost;
+                        bestNext = next;
+                    }
+                }
+            }
+            this.rhsScores.set(node, best);
+            node.parent = bestNext;
+        }
+
+        const wasQueued = this.open.has(node);
+        if (this.getG(node) === this.getRhs(node)) {
+            if (wasQueued) {
+                this.open.remove(node);
+                this.keys.delete(node);
+            }
+            return;
+        }
+
+        yield* this.enqueue(node, wasQueued);
+    }
+
+    /**
+     * Put a node on the queue with a fresh key, or move it if already there
+     */
+    *enqueue(node, wasQueued = this.open.has(node)) {
+        const key = this.calculateKey(node);
+        this.keys.set(node, key);
+        node.g = this.getRhs(node);
+        node.h = this.estimate(node, this.start);
+        node.f = key[0];
+
+        if (wasQueued) {
+            this.open.update(node);
+            yield { ...this.frontierEvent('relax', node), direction: 'backward' };
+        } else {
+            this.open.push(node);
+            yield { ...this.frontierEvent('push', node), direction: 'backward' };
+        }
+    }
+
+    /**
+     * Fold grid edits into the search: Naruto moving bumps km, changed cells re-derive their
+     * rhs along with every cell around them (their edges run through the changed cell)
+     * Moving Madara, or a rebuilt grid, invalidates everything - the search starts over
+     */
+    *applyChanges(changedCells) {
+        const startNode = this.getStartNode();
+        const endNode = this.getEndNode();
+        if (changedCells === null || endNode !== this.goal) {
+            this.restarts++;
+            yield { type: 'iteration', iteration: this.restarts + 1 };
+            yield* this.initialize(startNode, endNode);
+            return;
+        }
+
+        if (startNode !== this.start) {
+            this.km += this.estimate(this.lastStart, startNode);
+            this.lastStart = startNode;
+            this.start = startNode;
+        }
+
+        const affected = new Set();
+        changedCells.forEach(node => {
+            affected.add(node);
+            this.getSurroundingCells(node).forEach(cell => affected.add(cell));
+            this.knownCells.set(node, this.describeCell(node));
+        });
+        for (const node of affected) {
+            yield* this.updateVertex(node);
+        }
+    }
+
+    /**
+     * Cells whose wall or weight differs from what the search last saw
+     * @returns {Node[]|null} The changed cells, or null if the grid was rebuilt under us
+     */
+    findChangedCells() {
+        const changed = [];
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const node = this.grid.nodes[row][col];
+                if (!this.knownCells.has(node)) return null;
+                if (this.knownCells.get(node) !== this.describeCell(node)) {
+                    changed.push(node);
+                }
+            }
+        }
+        this.pendingChanges.clear();
+        return changed;
+    }
+
+    /**
+     * Remember every cell's wall and weight, so later edits can be found
+     */
+    rememberCells() {
+        this.knownCells = new Map();
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const node = this.grid.nodes[row][col];
+                this.knownCells.set(node, this.describeCell(node));
+            }
+        }
+    }
+
+    /**
+     * What the search cares about in a cell
+     */
+    describeCell(node) {
+        return node.isWall ? 'wall' : `${node.weight}`;
+    }
+
+    /**
+     * Every cell next to a node (walls included), 8-way when diagonals are on
+     */
+    getSurroundingCells(node) {
+        const cells = [];
+        for (let dRow = -1; dRow <= 1; dRow++) {
+            for (let dCol = -1; dCol <= 1; dCol++) {
+                if (dRow === 0 && dCol === 0) continue;
+                if (!this.movement.diagonal && dRow !== 0 && dCol !== 0) continue;
+                const cell = this.grid.getNode(node.row + dRow, node.col + dCol);
+                if (cell) cells.push(cell);
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Walk from Naruto to Madara, always stepping to the neighbor with the lowest cost-to-go
+     */
+    extractPath() {
+        const path = [this.start];
+        const limit = this.grid.rows * this.grid.cols;
+        let node = this.start;
+
+        while (node !== this.goal && path.length <= limit) {
+            let best = Infinity;
+            let bestNext = null;
+            for (const next of this.getNeighbors(node)) {
+                const cost = this.getMoveCost(node, next) + this.getG(next);
+                if (cost < best) {
+                    best = cost;
+                    bestNext = next;
+                }
+            }
+            if (!bestNext) break;
+            path.push(bestNext);
+            node = bestNext;
+        }
+        return path;
+    }
+
+    /**
+     * Result plus whether it was a repair of the previous search
+     */
+    buildResult(endTime) {
+        return {
+            ...super.buildResult(endTime),
+            repaired: this.resuming
+        };
+    }
+
+    /**
+     * Reset the run state - the search state survives when replan() is repairing it
+     */
+    reset() {
+        if (!this.resuming) {
+            this.start = null;
+            this.goal = null;
+            this.lastStart = null;
+            this.km = 0;
+            this.gScores = new Map();
+            this.rhsScores = new Map();
+            this.keys = new Map();
+            this.open = this.createQueue();
+            this.knownCells = new Map();
+            this.pendingChanges.clear();
+            this.restarts = 0;
+        }
+        super.reset();
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            openSetSize: this.open.size,
+            km: this.km,
+            restarts: this.restarts
+        };
+    }
+}
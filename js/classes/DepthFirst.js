@@ -0,0 +1,63 @@
+/**
+ * Depth-First Search
+ * Like Naruto running down one corridor until he hits a wall
+ * Finds a path, but rarely the shortest one
+ */
+class DepthFirst extends Pathfinder {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Depth-First';
+        this.stack = []; // Nodes waiting to be expanded, last in first out
+    }
+
+    /**
+     * Search by always diving into the most recently discovered node
+     */
+    *search(startNode, endNode) {
+        const expanded = new Set();
+        startNode.g = 0;
+        this.stack.push(startNode);
+        yield this.frontierEvent('push', startNode);
+
+        while (this.stack.length > 0) {
+            const currentNode = this.stack.pop();
+
+            if (expanded.has(currentNode)) {
+                continue;
+            }
+
+            if (currentNode === endNode) {
+                yield { type: 'found', node: currentNode };
+                return;
+            }
+
+            expanded.add(currentNode);
+            yield { type: 'expand', node: currentNode };
+
+            // Push in reverse so the first direction (up) is explored first
+            const neighbors = this.getNeighbors(currentNode).reverse();
+
+            for (const neighbor of neighbors) {
+                if (expanded.has(neighbor) || neighbor.isWall) {
+                    continue;
+                }
+
+                // The latest discovery wins, so the path follows the dive
+                neighbor.parent = currentNode;
+                neighbor.g = currentNode.g + this.getMoveCost(currentNode, neighbor);
+                this.stack.push(neighbor);
+                yield this.frontierEvent('push', neighbor);
+            }
+        }
+
+        yield { type: 'exhausted' };
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.stack = [];
+        super.reset();
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Dijkstra's Algorithm
+ * Like Shikamaru checking every move before committing - no guessing, just cost
+ */
+class Dijkstra extends AStar {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Dijkstra';
+    }
+
+    /**
+     * Dijkstra ranks nodes by cost-to-come only (h is always 0)
+     */
+    computeScores(node, endNode) {
+        node.h = 0;
+        node.f = node.g;
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * Fog of War - Naruto heads for Madara on a map he only knows as far as he can see
+ * Like scouting enemy territory: trust the plan, and rethink it the moment a wall shows up on it
+ *
+ * Naruto knows where Madara is, but sees walls only within his vision radius; every cell he has not
+ * seen yet is assumed open. He plans on what he knows with the chosen algorithm, walks the plan one
+ * cell at a time, and replans whenever a newly seen wall lies on the rest of it.
+ * Once he arrives, the walk is compared with the optimal path on the full map.
+ */
+class FogOfWar {
+    /**
+     * @param {Grid} grid - The battlefield, Naruto and Madara where the walk starts and ends
+     * @param {function(Grid): Pathfinder} createFinder - Makes a fresh pathfinder on the given grid for every plan
+     * @param {object} options - Fog options
+     * @param {number} options.visionRadius - How far Naruto sees, in cells (at least 1)
+     * @param {number} options.maxSteps - Steps before Naruto counts as lost
+     */
+    constructor(grid, createFinder, options = {}) {
+        this.grid = grid;
+        this.createFinder = createFinder;
+        this.visionRadius = Math.max(1, options.visionRadius || 2);
+        this.maxSteps = options.maxSteps || grid.rows * grid.cols * 4;
+        this.map = null; // What Naruto knows: a copy of the grid with only the walls he has seen
+        this.finder = null; // Pathfinder of the current plan
+        this.mover = null; // Pathfinder used for step costs on the real grid
+        this.origin = null; // Where Naruto started
+        this.plan = []; // Cells of the real grid still to walk, Naruto's cell first
+        this.path = []; // Naruto's route so far, in the cells he actually walked
+        this.optimalPath = []; // Shortest path on the full map, for comparison
+        this.replans = 0; // Plans made after the first one
+        this.nodesExplored = 0;
+        this.outcome = null; // 'arrived', 'unreachable', 'lost' (step limit) or 'stopped'
+        this.isRunning = false;
+        this.gate = new RunGate(); // Pause and single-step, one cell of the walk at a time
+    }
+
+    /**
+     * Walk to Madara step by step on the grid
+     * @param {boolean} animate - Whether to show every step
+     * @param {number} overrideSpeed - Optional speed override in milliseconds
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        if (!animate) return this.solve();
+        if (!this.begin()) return null;
+
+        const speed = overrideSpeed !== null ? overrideSpeed : 50;
+        console.log(`🌫️ Into the fog - Naruto sees ${this.visionRadius} cells around him`);
+
+        this.paint();
+        await this.gate.wait();
+        while (this.isRunning) {
+            const goesOn = this.walkStep();
+            this.paint();
+            if (!goesOn) break;
+
+            await this.gate.delay(speed * 2);
+            await this.gate.wait();
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * Walk the whole way synchronously
+     */
+    solve() {
+        if (!this.begin()) return null;
+
+        while (this.walkStep());
+        this.paint();
+
+        return this.finish();
+    }
+
+    /**
+     * Cover the grid in fog and make the first plan, or return false if a walk is already going or Naruto/Madara is missing
+     */
+    begin() {
+        if (this.isRunning) return false;
+        if (!this.grid.startNode || !this.grid.endNode) return false;
+
+        this.isRunning = true;
+        this.startTime = performance.now();
+        this.outcome = null;
+        this.replans = 0;
+        this.nodesExplored = 0;
+        this.origin = this.grid.startNode;
+        this.path = [this.origin];
+        this.optimalPath = [];
+        this.mover = this.createFinder(this.grid);
+
+        // Naruto assumes open ground wherever he has not looked
+        this.map = this.grid.clone();
+        this.map.nodes.flat().forEach(node => {
+            node.isWall = false;
+        });
+        this.grid.nodes.flat().forEach(node => {
+            node.isFogged = true;
+        });
+        this.reveal(this.origin);
+
+        if (!this.replan()) {
+            this.outcome = 'unreachable';
+        }
+        return true;
+    }
+
+    /**
+     * One step along the plan, then a look around - and a new plan if a wall turned up on the old one
+     * @returns {boolean} true while the walk goes on
+     */
+    walkStep() {
+        if (this.outcome) return false;
+        const naruto = this.path[this.path.length - 1];
+        if (naruto === this.grid.endNode) {
+            this.outcome = 'arrived';
+            return false;
+        }
+        if (this.path.length > this.maxSteps) {
+            this.outcome = 'lost';
+            return false;
+        }
+
+        const next = this.plan[1];
+        this.path.push(next);
+        this.plan = this.plan.slice(1);
+        if (next !== this.grid.endNode) {
+            this.grid.moveEndpoints(next, this.grid.endNode);
+        }
+
+        const seenWalls = this.reveal(next);
+        if (this.isPlanBlocked(seenWalls)) {
+            this.replans++;
+            if (!this.replan()) {
+                this.outcome = 'unreachable';
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Whether newly seen walls cut the rest of the plan: a wall on it, or a corner it can no longer cut
+     */
+    isPlanBlocked(seenWalls) {
+        if (seenWalls.size === 0) return false;
+
+        const toMap = node => this.map.getNode(node.row, node.col);
+        for (let i = 1; i < this.plan.length; i++) {
+            const from = this.plan[i - 1];
+            const to = this.plan[i];
+            if (seenWalls.has(to)) return true;
+
+            const corners = [this.grid.getNode(from.row, to.col), this.grid.getNode(to.row, from.col)];
+            const isDiagonal = from.row !== to.row && from.col !== to.col;
+            if (isDiagonal && corners.some(node => seenWalls.has(node)) &&
+                !this.finder.getNeighbors(toMap(from)).includes(toMap(to))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Plan from Naruto's cell to Madara on the map he knows
+     * @returns {boolean} false if what he knows already rules out every way
+     */
+    replan() {
+        const naruto = this.path[this.path.length - 1];
+        const toMap = node => this.map.getNode(node.row, node.col);
+
+        this.finder = this.createFinder(this.map);
+        this.finder.setEndpoints(toMap(naruto), toMap(this.grid.endNode));
+        const result = this.finder.solve();
+        if (!result) return false;
+
+        this.nodesExplored += result.nodesExplored;
+        this.plan = result.path.map(node => this.grid.getNode(node.row, node.col));
+        console.log(`🗺️ New plan: ${this.plan.length - 1} steps from ${naruto.getLabel()}`);
+        return true;
+    }
+
+    /**
+     * Lift the fog around a cell and copy the walls there onto Naruto's map
+     * @returns {Set<Node>} Walls seen for the first time
+     */
+    reveal(center) {
+        const seenWalls = new Set();
+        const reach = this.visionRadius + 0.5; // Round the circle out so every neighbor is in sight
+        for (let row = center.row - this.visionRadius; row <= center.row + this.visionRadius; row++) {
+            for (let col = center.col - this.visionRadius; col <= center.col + this.visionRadius; col++) {
+                const node = this.grid.getNode(row, col);
+                if (!node || !node.isFogged) continue;
+                if (Math.hypot(row - center.row, col - center.col) > reach) continue;
+
+                node.isFogged = false;
+                if (node.isWall) {
+                    this.map.getNode(row, col).isWall = true;
+                    seenWalls.add(node);
+                }
+            }
+        }
+        return seenWalls;
+    }
+
+    /**
+     * Wrap up the walk: Naruto goes back to his start and the optimal path is found for comparison
+     * @returns {object|null} Result, or null if Naruto never reached Madara or the walk was stopped
+     */
+    finish() {
+        const endTime = performance.now();
+        const stopped = !this.isRunning;
+        this.isRunning = false;
+        this.gate.resume();
+        this.grid.moveEndpoints(this.origin, this.grid.endNode);
+        this.origin.updateVisualState();
+
+        if (stopped) {
+            this.outcome = 'stopped';
+            return null;
+        }
+        if (this.outcome !== 'arrived') return null;
+
+        this.optimalPath = this.findOptimalPath();
+        const optimalCost = this.mover.calculatePathCost(this.optimalPath);
+        return {
+            path: this.path,
+            visitedNodes: this.nodesExplored,
+            pathLength: this.path.length,
+            pathCost: this.mover.calculatePathCost(this.path),
+            euclideanLength: PathSmoother.euclideanLength(this.path),
+            nodesExplored: this.nodesExplored,
+            timeTaken: Math.round(endTime - this.startTime),
+            fog: {
+                replans: this.replans,
+                visionRadius: this.visionRadius,
+                optimalCost,
+                optimalLength: this.optimalPath.length
+            }
+        };
+    }
+
+    /**
+     * Shortest path on the full map, searched on a copy so the grid keeps the walk
+     * Always Dijkstra under the walk's movement rules - the selected algorithm may not be optimal
+     */
+    findOptimalPath() {
+        const copy = this.grid.clone();
+        const finder = new Dijkstra(copy, this.mover.movement);
+        const result = finder.solve();
+        return result ? result.path.map(node => this.grid.getNode(node.row, node.col)) : [];
+    }
+
+    /**
+     * Draw the walk so far in the first route color and the rest of the plan as the attack path
+     */
+    paint() {
+        this.grid.resetPathfinding(false);
+        this.path.forEach(node => {
+            node.routeLeg = 0;
+        });
+        this.plan.forEach(node => {
+            if (!this.path.includes(node)) node.isPath = true;
+        });
+        this.repaint();
+    }
+
+    /**
+     * Redraw every cell
+     */
+    repaint() {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                this.grid.nodes[row][col].updateVisualState();
+            }
+        }
+    }
+
+    /**
+     * Whether the walk is held by pause()
+     */
+    get isPaused() {
+        return this.gate.isPaused;
+    }
+
+    /**
+     * Pause after the current step; can be called before findPath() to start paused
+     */
+    pause() {
+        this.gate.pause();
+    }
+
+    /**
+     * Resume a paused walk
+     */
+    resume() {
+        this.gate.resume();
+    }
+
+    /**
+     * Walk exactly one step, then stay paused
+     */
+    step() {
+        this.gate.step();
+    }
+
+    /**
+     * Stop the walk after the current step
+     */
+    stop() {
+        this.isRunning = false;
+        this.gate.resume();
+    }
+}
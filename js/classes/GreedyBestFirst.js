@@ -0,0 +1,18 @@
+/**
+ * Greedy Best-First Search
+ * Like Naruto charging straight at Madara - fast, but not always the shortest way
+ */
+class GreedyBestFirst extends AStar {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Greedy Best-First';
+    }
+
+    /**
+     * Greedy ranks nodes by the heuristic alone and ignores cost-to-come
+     */
+    computeScores(node, endNode) {
+        node.h = this.estimate(node, endNode);
+        node.f = node.h;
+    }
+}
@@ -9,8 +9,20 @@ class Grid {
         this.nodes = [];
         this.startNode = null;
         this.endNode = null;
+        this.waypoints = []; // Checkpoints between Naruto and Madara, in visiting order
+        this.targets = []; // Madara clones Naruto must defeat, in placement order
+        this.patrols = []; // Anbu guards: { route } walked back and forth, one cell per time step
+        this.patrolTime = 0; // Time step the guards are drawn at
+        this.draftPatrol = null; // Route being drawn with the patrol tool
+        this.squad = []; // Ninjas planned together with Naruto: { start, goal }, numbered 2, 3, ... in placement order
+        this.draftNinja = null; // Ninja being placed with the squad tool, its goal follows the drag
         this.mouseIsPressed = false;
-        this.currentMode = 'wall'; // 'wall', 'start', 'end', 'weight'
+        this.currentMode = 'wall'; // 'wall', 'start', 'end', 'weight', 'terrain', 'waypoint', 'target', 'patrol', 'draw-patrol', 'squad', 'draw-ninja', 'move-marker'
+        this.activeTool = 'wall'; // Brush used when clicking empty cells: 'wall', 'weight', 'terrain', 'waypoint', 'target', 'patrol' or 'squad'
+        this.draggedMarker = null; // Waypoint, clone or squad marker being dragged to a new cell
+        this.brushWeight = 5; // Movement cost painted by the weight brush (2-9)
+        this.brushTerrain = 'water'; // Terrain key painted by the terrain brush
+        this.onEdit = null; // Optional callback(node, mode) fired when the user changes a cell
 
         this.initializeGrid();
         this.setDefaultStartEnd();
@@ -22,6 +34,13 @@ class Grid {
      */
     initializeGrid() {
         this.nodes = [];
+        this.waypoints = [];
+        this.targets = [];
+        this.patrols = [];
+        this.patrolTime = 0;
+        this.draftPatrol = null;
+        this.squad = [];
+        this.draftNinja = null;
         for (let row = 0; row < this.rows; row++) {
             this.nodes[row] = [];
             for (let col = 0; col < this.cols; col++) {
@@ -58,6 +77,9 @@ class Grid {
 
         // Set new start node
         this.startNode = this.nodes[row][col];
+        this.removeWaypoint(this.startNode);
+        this.removeTarget(this.startNode);
+        this.removeNinja(this.getNinjaAt(this.startNode));
         this.startNode.setAsStart();
     }
 
@@ -73,9 +95,401 @@ class Grid {
 
         // Set new end node
         this.endNode = this.nodes[row][col];
+        this.removeWaypoint(this.endNode);
+        this.removeTarget(this.endNode);
+        this.removeNinja(this.getNinjaAt(this.endNode));
         this.endNode.setAsEnd();
     }
 
+    /**
+     * Move Naruto and Madara together, leaving any waypoint or clone they stand on in place
+     * A chase moves both every tick - they may end on the same cell when Madara is caught
+     */
+    moveEndpoints(startNode, endNode) {
+        const previous = [this.startNode, this.endNode];
+        previous.forEach(node => {
+            if (node) {
+                node.isStart = false;
+                node.isEnd = false;
+            }
+        });
+
+        this.startNode = startNode;
+        this.endNode = endNode;
+        startNode.isStart = true;
+        endNode.isEnd = true;
+        [...previous, startNode, endNode].forEach(node => {
+            if (node) node.updateVisualState();
+        });
+    }
+
+    /**
+     * Add a waypoint at the end of the visiting order
+     * @returns {boolean} false if the cell is off the grid or already Naruto, Madara, a waypoint or a clone
+     */
+    addWaypoint(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || node.isLandmark()) return false;
+
+        this.waypoints.push(node);
+        node.setAsWaypoint(this.waypoints.length);
+        return true;
+    }
+
+    /**
+     * Remove a waypoint, the ones after it move up one place
+     */
+    removeWaypoint(node) {
+        const index = this.waypoints.indexOf(node);
+        if (index === -1) return;
+
+        this.waypoints.splice(index, 1);
+        node.setAsWaypoint(null);
+        this.renumberWaypoints();
+    }
+
+    /**
+     * Move a waypoint to another open cell, keeping its place in the order
+     */
+    moveWaypoint(node, row, col) {
+        const target = this.getNode(row, col);
+        const index = this.waypoints.indexOf(node);
+        if (!target || index === -1 || target.isLandmark() || target.isWall) return;
+
+        node.setAsWaypoint(null);
+        this.waypoints[index] = target;
+        target.setAsWaypoint(index + 1);
+    }
+
+    /**
+     * Remove every waypoint
+     */
+    clearWaypoints() {
+        this.waypoints.forEach(node => node.setAsWaypoint(null));
+        this.waypoints = [];
+    }
+
+    /**
+     * Give every waypoint its current position in the order
+     */
+    renumberWaypoints() {
+        this.waypoints.forEach((node, index) => node.setAsWaypoint(index + 1));
+    }
+
+    /**
+     * Add a Madara clone
+     * @returns {boolean} false if the cell is off the grid or already Naruto, Madara, a waypoint or a clone
+     */
+    addTarget(row, col) {
+        const node = this.getNode(row, col);
+        if (!node || node.isLandmark()) return false;
+
+        this.targets.push(node);
+        node.setAsTarget(this.targets.length);
+        return true;
+    }
+
+    /**
+     * Remove a Madara clone, the others are relabeled 1, 2, ...
+     */
+    removeTarget(node) {
+        const index = this.targets.indexOf(node);
+        if (index === -1) return;
+
+        this.targets.splice(index, 1);
+        node.setAsTarget(null);
+        this.targets.forEach((clone, i) => clone.setAsTarget(i + 1));
+    }
+
+    /**
+     * Move a Madara clone to another open cell, keeping its label
+     */
+    moveTarget(node, row, col) {
+        const target = this.getNode(row, col);
+        const index = this.targets.indexOf(node);
+        if (!target || index === -1 || target.isLandmark() || target.isWall) return;
+
+        node.setAsTarget(null);
+        this.targets[index] = target;
+        target.setAsTarget(index + 1);
+    }
+
+    /**
+     * Remove every Madara clone
+     */
+    clearTargets() {
+        this.targets.forEach(node => node.setAsTarget(null));
+        this.targets = [];
+    }
+
+    /**
+     * Add a squad ninja who plans its own way from start to goal alongside Naruto
+     * @returns {boolean} false if either cell is off the grid, a wall or already taken, or both are the same cell
+     */
+    addNinja(start, goal) {
+        const isFree = node => node && !node.isWall && !node.isLandmark();
+        if (!isFree(start) || !isFree(goal) || start === goal) return false;
+
+        const ninja = { start, goal };
+        this.squad.push(ninja);
+        start.setAsSquadMarker(this.squad.length + 1, 'start');
+        goal.setAsSquadMarker(this.squad.length + 1, 'goal');
+        return true;
+    }
+
+    /**
+     * Remove a squad ninja, the ones after it move down one number
+     */
+    removeNinja(ninja) {
+        const index = this.squad.indexOf(ninja);
+        if (index === -1) return;
+
+        this.squad.splice(index, 1);
+        ninja.start.setAsSquadMarker(null);
+        ninja.goal.setAsSquadMarker(null);
+        this.renumberSquad();
+    }
+
+    /**
+     * Move a squad ninja's start or goal to another open cell
+     */
+    moveSquadMarker(node, row, col) {
+        const target = this.getNode(row, col);
+        const ninja = this.getNinjaAt(node);
+        if (!target || !ninja || target.isLandmark() || target.isWall) return;
+
+        ninja[node.squadRole] = target;
+        target.setAsSquadMarker(node.squadNumber, node.squadRole);
+        node.setAsSquadMarker(null);
+    }
+
+    /**
+     * The squad ninja starting or ending on a cell, or null
+     */
+    getNinjaAt(node) {
+        return this.squad.find(ninja => ninja.start === node || ninja.goal === node) || null;
+    }
+
+    /**
+     * Remove every squad ninja
+     */
+    clearSquad() {
+        this.squad.forEach(ninja => {
+            ninja.start.setAsSquadMarker(null);
+            ninja.goal.setAsSquadMarker(null);
+        });
+        this.squad = [];
+        this.draftNinja = null;
+    }
+
+    /**
+     * Give every squad ninja its current number, Naruto being ninja 1
+     */
+    renumberSquad() {
+        this.squad.forEach((ninja, index) => {
+            ninja.start.setAsSquadMarker(index + 2, 'start');
+            ninja.goal.setAsSquadMarker(index + 2, 'goal');
+        });
+    }
+
+    /**
+     * Add an Anbu guard walking a route back and forth, one cell per time step
+     * A single cell makes a sentry that never moves
+     * @param {Node[]} route - Cells in walking order, each next to the one before
+     * @returns {boolean} false if the route is empty or jumps between cells that are not neighbors
+     */
+    addPatrol(route) {
+        const isStep = (a, b) => Math.max(Math.abs(a.row - b.row), Math.abs(a.col - b.col)) === 1;
+        if (route.length === 0 || route.some((node, index) => index > 0 && !isStep(route[index - 1], node))) {
+            return false;
+        }
+
+        this.patrols.push({ route });
+        this.refreshPatrols();
+        return true;
+    }
+
+    /**
+     * Send a guard home; the others keep their numbers in order
+     */
+    removePatrol(patrol) {
+        const index = this.patrols.indexOf(patrol);
+        if (index === -1) return;
+
+        this.patrols.splice(index, 1);
+        this.refreshPatrols();
+    }
+
+    /**
+     * Remove every guard
+     */
+    clearPatrols() {
+        this.patrols = [];
+        this.draftPatrol = null;
+        this.refreshPatrols();
+    }
+
+    /**
+     * First guard whose route passes through a cell, or null
+     */
+    getPatrolThrough(node) {
+        return this.patrols.find(patrol => patrol.route.includes(node)) || null;
+    }
+
+    /**
+     * Where a guard stands at a time step: along the route, then back, then along again
+     */
+    getPatrolPosition(patrol, time) {
+        const length = patrol.route.length;
+        if (length === 1) return patrol.route[0];
+
+        const period = 2 * (length - 1);
+        const phase = ((time % period) + period) % period;
+        return patrol.route[phase < length ? phase : period - phase];
+    }
+
+    /**
+     * Time steps until every guard is back where it started at the same moment
+     * Infinity when the rounds are too long to ever line up within a search
+     */
+    getPatrolPeriod() {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        let period = 1;
+        for (const patrol of this.patrols) {
+            const length = patrol.route.length > 1 ? 2 * (patrol.route.length - 1) : 1;
+            period = period / gcd(period, length) * length;
+            if (period > 100000) return Infinity;
+        }
+        return period;
+    }
+
+    /**
+     * Number (1, 2, ...) of a guard standing on a cell at a time step, or null if it is clear
+     */
+    getGuardAt(node, time) {
+        const index = this.patrols.findIndex(patrol => this.getPatrolPosition(patrol, time) === node);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Number of a guard that meets Naruto stepping from one cell to another between two time steps,
+     * either waiting on the cell he enters or walking the other way past him; null if the step is safe
+     * @param {number} time - Time step Naruto arrives on the new cell
+     */
+    getGuardOnStep(fromNode, toNode, time) {
+        for (let index = 0; index < this.patrols.length; index++) {
+            const patrol = this.patrols[index];
+            const arrives = this.getPatrolPosition(patrol, time) === toNode;
+            const swaps = fromNode !== toNode &&
+                this.getPatrolPosition(patrol, time - 1) === toNode &&
+                this.getPatrolPosition(patrol, time) === fromNode;
+            if (arrives || swaps) return index + 1;
+        }
+        return null;
+    }
+
+    /**
+     * First moment a guard catches Naruto walking a path, one cell per time step
+     * @param {Node[]} path - Cells in walking order, repeated where Naruto waits
+     * @param {number} departureTime - Time step Naruto stands on path[0]
+     * @returns {object|null} { guard, node, time }, or null if the path slips past every guard
+     */
+    findPatrolCollision(path, departureTime = 0) {
+        for (let index = 1; index < path.length; index++) {
+            const time = departureTime + index;
+            const guard = this.getGuardOnStep(path[index - 1], path[index], time);
+            if (guard !== null) {
+                return { guard, node: path[index], time };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Draw the guards where they stand at a time step
+     */
+    setPatrolTime(time) {
+        if (this.patrols.length === 0 && this.patrolTime === time) return;
+        this.patrolTime = time;
+        this.refreshPatrols();
+    }
+
+    /**
+     * Recompute which cells are on a route (the one being drawn included) and where each guard stands
+     */
+    refreshPatrols() {
+        const routeCells = new Set(this.draftPatrol || []);
+        this.patrols.forEach(patrol => patrol.route.forEach(node => routeCells.add(node)));
+        const guards = new Map();
+        this.patrols.forEach((patrol, index) => {
+            const node = this.getPatrolPosition(patrol, this.patrolTime);
+            if (!guards.has(node)) guards.set(node, index + 1);
+        });
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                const isPatrolRoute = routeCells.has(node);
+                const patrolUnit = guards.has(node) ? guards.get(node) : null;
+                if (node.isPatrolRoute !== isPatrolRoute || node.patrolUnit !== patrolUnit) {
+                    node.isPatrolRoute = isPatrolRoute;
+                    node.patrolUnit = patrolUnit;
+                    node.updateVisualState();
+                }
+            }
+        }
+    }
+
+    /**
+     * Extend the route being drawn up to a cell, filling any gap one row or column at a time
+     * Stops short of walls - guards walk the open ground
+     */
+    extendDraftPatrol(node) {
+        const route = this.draftPatrol;
+        let last = route[route.length - 1];
+        while (last !== node) {
+            const dRow = Math.sign(node.row - last.row);
+            const dCol = Math.sign(node.col - last.col);
+            const next = Math.abs(node.row - last.row) >= Math.abs(node.col - last.col)
+                ? this.getNode(last.row + dRow, last.col)
+                : this.getNode(last.row, last.col + dCol);
+            if (!next || next.isWall) break;
+            route.push(next);
+            last = next;
+        }
+        this.refreshPatrols();
+    }
+
+    /**
+     * Wipe the per-leg route colors left by a waypoint mission
+     */
+    clearRouteLegs() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (node.routeLeg !== null) {
+                    node.routeLeg = null;
+                    node.updateVisualState();
+                }
+            }
+        }
+    }
+
+    /**
+     * Lift the fog of war from every cell
+     */
+    clearFog() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (node.isFogged) {
+                    node.isFogged = false;
+                    node.updateVisualState();
+                }
+            }
+        }
+    }
+
     /**
      * Get node at specific position
      */
@@ -97,18 +511,27 @@ class Grid {
     /**
      * Reset all nodes for new pathfinding
      * Clear the training ground for a new exercise
+     * @param {boolean} updateVisuals - Repaint the cells (skip when the caller repaints anyway)
      */
-    resetPathfinding() {
+    resetPathfinding(updateVisuals = true) {
         for (let row = 0; row < this.rows; row++) {
             for (let col = 0; col < this.cols; col++) {
                 // Only reset pathfinding properties, not wall status or type
                 this.nodes[row][col].isVisited = false;
+                this.nodes[row][col].isFrontier = false;
+                this.nodes[row][col].isCurrent = false;
+                this.nodes[row][col].isRelaxed = false;
+                this.nodes[row][col].searchDirection = null;
+                this.nodes[row][col].isJumpPoint = false;
+                this.nodes[row][col].isScanned = false;
                 this.nodes[row][col].isPath = false;
                 this.nodes[row][col].g = Infinity;
                 this.nodes[row][col].h = 0;
                 this.nodes[row][col].f = Infinity;
                 this.nodes[row][col].parent = null;
-                if (this.nodes[row][col].element) {
+                this.nodes[row][col].openedAt = null;
+                this.nodes[row][col].closedAt = null;
+                if (updateVisuals && this.nodes[row][col].element) {
                     this.nodes[row][col].updateVisualState();
                 }
             }
@@ -132,6 +555,82 @@ class Grid {
         }
     }
 
+    /**
+     * Clear all weights and terrain from the grid
+     * Flatten the training ground back to normal footing
+     */
+    clearWeights() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (node.weight !== 1 || node.getTerrain()) {
+                    node.weight = 1;
+                    if (!node.isWall) node.wallType = null;
+                    node.updateVisualState();
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the cheapest movement cost on open ground
+     * Heuristics are scaled by this so cheap terrain (roads) keeps them admissible
+     */
+    getMinWeight() {
+        let minWeight = Infinity;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (!node.isWall && node.weight < minWeight) {
+                    minWeight = node.weight;
+                }
+            }
+        }
+        return minWeight === Infinity ? 1 : minWeight;
+    }
+
+    /**
+     * Check whether any open cell costs something other than 1 (weights or terrain)
+     */
+    hasWeights() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const node = this.nodes[row][col];
+                if (!node.isWall && node.weight !== 1) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Choose the brush used when clicking empty cells
+     * @param {string} tool - 'wall', 'weight', 'terrain', 'waypoint', 'target', 'patrol' or 'squad'
+     */
+    setTool(tool) {
+        this.activeTool = ['weight', 'terrain', 'waypoint', 'target', 'patrol', 'squad'].includes(tool) ? tool : 'wall';
+        this.currentMode = this.activeTool;
+    }
+
+    /**
+     * Set the terrain painted by the terrain brush
+     * @param {string} type - Terrain key
+     */
+    setBrushTerrain(type) {
+        if (Terrain.get(type)) {
+            this.brushTerrain = type;
+        }
+    }
+
+    /**
+     * Set the cost painted by the weight brush
+     * @param {number} weight - Movement cost between 2 and 9
+     */
+    setBrushWeight(weight) {
+        this.brushWeight = Math.max(2, Math.min(9, Math.round(weight)));
+    }
+
     /**
      * Reset entire grid to initial state
      * Complete training ground reset
@@ -155,6 +654,67 @@ class Grid {
             this.currentMode = 'start';
         } else if (node.isEnd) {
             this.currentMode = 'end';
+        } else if (node.isWaypoint && this.activeTool === 'waypoint') {
+            // Clicking a waypoint with the waypoint tool removes it
+            this.currentMode = 'waypoint';
+            this.removeWaypoint(node);
+        } else if (node.isTarget && this.activeTool === 'target') {
+            // Same for a clone with the clone tool
+            this.currentMode = 'target';
+            this.removeTarget(node);
+        } else if (this.activeTool === 'patrol' && node.isPatrolRoute) {
+            // Clicking a route with the patrol tool sends its guard home
+            this.currentMode = 'patrol';
+            this.removePatrol(this.getPatrolThrough(node));
+        } else if (node.squadNumber !== null && this.activeTool === 'squad') {
+            // Clicking either end of a squad ninja with the squad tool removes the ninja
+            this.currentMode = 'squad';
+            this.removeNinja(this.getNinjaAt(node));
+        } else if (node.isWaypoint || node.isTarget || node.squadNumber !== null) {
+            // Any other tool drags it, like Naruto and Madara
+            this.currentMode = 'move-marker';
+            this.draggedMarker = node;
+        } else if (this.activeTool === 'waypoint') {
+            this.currentMode = 'waypoint';
+            if (!node.isWall) {
+                this.addWaypoint(row, col);
+            }
+        } else if (this.activeTool === 'target') {
+            this.currentMode = 'target';
+            if (!node.isWall) {
+                this.addTarget(row, col);
+            }
+        } else if (this.activeTool === 'patrol') {
+            // Press to post a guard, drag to draw the route it walks
+            this.currentMode = 'patrol';
+            if (!node.isWall) {
+                this.currentMode = 'draw-patrol';
+                this.draftPatrol = [node];
+                this.refreshPatrols();
+            }
+            return;
+        } else if (this.activeTool === 'squad') {
+            // Press where the ninja starts, release where it is headed
+            this.currentMode = 'squad';
+            if (!node.isWall) {
+                this.currentMode = 'draw-ninja';
+                this.draftNinja = { start: node, goal: null };
+                node.setAsSquadMarker(this.squad.length + 2, 'start');
+            }
+            return;
+        } else if (this.activeTool === 'weight') {
+            this.currentMode = 'weight';
+            // Clicking a cell already painted with this weight clears it
+            if (!node.isWall) {
+                const isSameWeight = node.weight === this.brushWeight && !node.getTerrain();
+                node.setWeight(isSameWeight ? 1 : this.brushWeight);
+            }
+        } else if (this.activeTool === 'terrain') {
+            this.currentMode = 'terrain';
+            // Clicking a cell already covered by this terrain clears it
+            if (!node.isWall) {
+                node.setTerrain(node.wallType === this.brushTerrain ? null : this.brushTerrain);
+            }
         } else {
             this.currentMode = 'wall';
             // Toggle wall state
@@ -169,6 +729,8 @@ class Grid {
             }
             node.updateVisualState();
         }
+
+        this.notifyEdit(node);
     }
 
     handleMouseEnter(row, col) {
@@ -179,29 +741,102 @@ class Grid {
 
         switch (this.currentMode) {
             case 'start':
-                if (!node.isEnd && !node.isWall) {
+                if (!node.isLandmark() && !node.isWall) {
                     this.setStartNode(row, col);
+                    this.notifyEdit(node);
                 }
                 break;
             case 'end':
-                if (!node.isStart && !node.isWall) {
+                if (!node.isLandmark() && !node.isWall) {
                     this.setEndNode(row, col);
+                    this.notifyEdit(node);
                 }
                 break;
             case 'wall':
-                // Only add walls on drag if the cell is not already a start/end/wall
-                if (!node.isStart && !node.isEnd && !node.isWall) {
+                // Only add walls on drag if the cell is not already a start/end/waypoint/clone/wall
+                if (!node.isLandmark() && !node.isWall) {
                     node.isWall = true;
                     node.wallType = this.getRandomWallType(); // Assign random type
                     node.updateVisualState();
+                    this.notifyEdit(node);
+                }
+                break;
+            case 'weight':
+                // Paint the brush weight on open ground while dragging
+                if (!node.isLandmark() && !node.isWall &&
+                    (node.weight !== this.brushWeight || node.getTerrain())) {
+                    node.setWeight(this.brushWeight);
+                    this.notifyEdit(node);
+                }
+                break;
+            case 'terrain':
+                // Paint the brush terrain on open ground while dragging
+                if (!node.isLandmark() && !node.isWall && node.wallType !== this.brushTerrain) {
+                    node.setTerrain(this.brushTerrain);
+                    this.notifyEdit(node);
+                }
+                break;
+            case 'draw-patrol':
+                if (this.draftPatrol && !node.isWall) {
+                    this.extendDraftPatrol(node);
+                }
+                break;
+            case 'draw-ninja':
+                if (this.draftNinja && !node.isLandmark() && !node.isWall) {
+                    const previousGoal = this.draftNinja.goal;
+                    this.draftNinja.goal = node;
+                    node.setAsSquadMarker(this.squad.length + 2, 'goal');
+                    if (previousGoal) previousGoal.setAsSquadMarker(null);
+                }
+                break;
+            case 'move-marker':
+                if (this.draggedMarker && !node.isLandmark() && !node.isWall) {
+                    if (this.draggedMarker.isWaypoint) {
+                        this.moveWaypoint(this.draggedMarker, row, col);
+                    } else if (this.draggedMarker.isTarget) {
+                        this.moveTarget(this.draggedMarker, row, col);
+                    } else {
+                        this.moveSquadMarker(this.draggedMarker, row, col);
+                    }
+                    this.draggedMarker = node;
+                    this.notifyEdit(node);
                 }
                 break;
         }
     }
 
     handleMouseUp() {
+        // A finished route becomes a guard
+        if (this.draftPatrol) {
+            const route = this.draftPatrol;
+            this.draftPatrol = null;
+            this.addPatrol(route);
+            this.notifyEdit(route[route.length - 1]);
+        }
+        // A ninja dragged to its goal joins the squad, a plain click leaves nothing behind
+        if (this.draftNinja) {
+            const { start, goal } = this.draftNinja;
+            this.draftNinja = null;
+            start.setAsSquadMarker(null);
+            if (goal) {
+                goal.setAsSquadMarker(null);
+                this.addNinja(start, goal);
+                this.notifyEdit(goal);
+            }
+        }
+
         this.mouseIsPressed = false;
-        this.currentMode = 'wall';
+        this.draggedMarker = null;
+        this.currentMode = this.activeTool;
+    }
+
+    /**
+     * Tell the onEdit listener (if any) that the user changed a cell
+     */
+    notifyEdit(node) {
+        if (this.onEdit) {
+            this.onEdit(node, this.currentMode);
+        }
     }
 
     /**
@@ -216,12 +851,39 @@ class Grid {
         return '';
     }
 
+    /**
+     * Copy the battlefield (walls, weights, terrain, Naruto, Madara, waypoints, clones and guards) into a new grid
+     * Search state is not copied - the clone starts fresh
+     */
+    clone() {
+        const copy = new Grid(this.rows, this.cols);
+        copy.setStartNode(this.startNode.row, this.startNode.col);
+        copy.setEndNode(this.endNode.row, this.endNode.col);
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const source = this.nodes[row][col];
+                const target = copy.nodes[row][col];
+                target.isWall = source.isWall;
+                target.wallType = source.wallType;
+                target.weight = source.weight;
+            }
+        }
+        this.waypoints.forEach(node => copy.addWaypoint(node.row, node.col));
+        this.targets.forEach(node => copy.addTarget(node.row, node.col));
+        this.patrols.forEach(patrol => copy.addPatrol(patrol.route.map(node => copy.nodes[node.row][node.col])));
+        this.squad.forEach(({ start, goal }) => copy.addNinja(copy.nodes[start.row][start.col], copy.nodes[goal.row][goal.col]));
+
+        return copy;
+    }
+
     /**
      * Render the grid to the DOM - ENHANCED VERSION
      * Create the visual representation of the training ground
+     * @param {HTMLElement} gridElement - Where to draw (the main #game-grid by default)
+     * @param {boolean} interactive - Let the user draw on it (false for read-only copies)
      */
-    render() {
-        const gridElement = document.getElementById('game-grid');
+    render(gridElement = document.getElementById('game-grid'), interactive = true) {
         gridElement.innerHTML = '';
 
         // Set CSS Grid properties
@@ -244,6 +906,11 @@ class Grid {
                 const node = this.nodes[row][col];
                 const element = node.createElement();
 
+                if (!interactive) {
+                    gridElement.appendChild(element);
+                    continue;
+                }
+
                 // Add event listeners
                 element.addEventListener('mousedown', () => this.handleMouseDown(row, col));
                 element.addEventListener('mouseenter', () => this.handleMouseEnter(row, col));
@@ -276,6 +943,8 @@ class Grid {
             }
         }
 
+        if (!interactive) return;
+
         // Global mouse up listener
         document.addEventListener('mouseup', () => this.handleMouseUp());
 
@@ -343,8 +1012,14 @@ class Grid {
             rows: this.rows,
             cols: this.cols,
             walls: [],
+            weights: [],
+            terrain: [],
             startNode: null,
-            endNode: null
+            endNode: null,
+            waypoints: this.waypoints.map(node => ({ row: node.row, col: node.col })), // In visiting order
+            targets: this.targets.map(node => ({ row: node.row, col: node.col })),
+            patrols: this.patrols.map(patrol => ({ route: patrol.route.map(node => ({ row: node.row, col: node.col })) })),
+            squad: this.squad.map(({ start, goal }) => ({ start: { row: start.row, col: start.col }, goal: { row: goal.row, col: goal.col } }))
         };
 
         for (let row = 0; row < this.rows; row++) {
@@ -357,6 +1032,11 @@ class Grid {
                         type: node.wallType || 1 // Default to type 1 if not set
                     });
                 }
+                if (node.getTerrain()) {
+                    gridData.terrain.push({ row: node.row, col: node.col, type: node.wallType });
+                } else if (node.weight !== 1) {
+                    gridData.weights.push({ row: node.row, col: node.col, weight: node.weight });
+                }
                 if (node.isStart) {
                     gridData.startNode = { row: node.row, col: node.col };
                 }
@@ -383,6 +1063,12 @@ class Grid {
             } else {
                 // Clear existing elements properly if not resizing
                 this.clearWalls();
+                this.clearWeights();
+                this.clearWaypoints();
+                this.clearTargets();
+                this.clearPatrols();
+                this.clearSquad();
+                this.clearRouteLegs();
                 if (this.startNode) {
                     this.startNode.isStart = false;
                     this.startNode.updateVisualState();
@@ -409,6 +1095,25 @@ class Grid {
                 });
             }
 
+            // Restore weighted cells
+            if (gridData.weights) {
+                gridData.weights.forEach(({ row, col, weight }) => {
+                    const node = this.getNode(row, col);
+                    if (node && weight > 0) {
+                        node.weight = weight;
+                        node.updateVisualState();
+                    }
+                });
+            }
+
+            // Restore terrain tiles
+            if (gridData.terrain) {
+                gridData.terrain.forEach(({ row, col, type }) => {
+                    const node = this.getNode(row, col);
+                    if (node) node.setTerrain(type);
+                });
+            }
+
             // Restore start and end nodes
             if (gridData.startNode) {
                 this.setStartNode(gridData.startNode.row, gridData.startNode.col);
@@ -417,6 +1122,32 @@ class Grid {
                 this.setEndNode(gridData.endNode.row, gridData.endNode.col);
             }
 
+            // Restore waypoints in their visiting order
+            if (gridData.waypoints) {
+                gridData.waypoints.forEach(({ row, col }) => this.addWaypoint(row, col));
+            }
+
+            // Restore Madara clones
+            if (gridData.targets) {
+                gridData.targets.forEach(({ row, col }) => this.addTarget(row, col));
+            }
+
+            // Restore Anbu patrols, routes in walking order
+            if (gridData.patrols) {
+                this.setPatrolTime(0);
+                gridData.patrols.forEach(({ route }) => {
+                    const nodes = route.map(({ row, col }) => this.getNode(row, col));
+                    if (!nodes.includes(null)) this.addPatrol(nodes);
+                });
+            }
+
+            // Restore squad ninjas in their numbering order
+            if (gridData.squad) {
+                gridData.squad.forEach(({ start, goal }) => {
+                    this.addNinja(this.getNode(start.row, start.col), this.getNode(goal.row, goal.col));
+                });
+            }
+
             this.render();
             return true;
         } catch (error) {
@@ -0,0 +1,173 @@
+/**
+ * Iterative Deepening A* (IDA*)
+ * Naruto trains like Rock Lee: run the course again and again, pushing the limit a little further each time
+ *
+ * Depth-first search that only follows nodes with f <= bound. When a pass fails, the bound grows to the
+ * smallest f that went over it and the search starts again from Naruto.
+ * Memory is just the current path (the DFS stack), paid for by expanding the same nodes on every pass.
+ */
+class IDAStar extends Pathfinder {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'IDA*';
+        this.expansionLimit = options.expansionLimit || 200000; // Give up rather than freeze on huge weighted maps
+        this.bound = 0; // f-bound of the current pass
+        this.iterations = 0; // Passes started
+        this.totalExpansions = 0; // Every expansion of every pass, repeats included
+        this.peakStackDepth = 0; // Longest DFS path held in memory at once
+        this.exploredNodes = new Set(); // Distinct nodes expanded across all passes
+        this.gaveUp = false;
+    }
+
+    /**
+     * Run bounded depth-first passes until one reaches Madara or nothing is left under any bound
+     */
+    *search(startNode, endNode) {
+        this.bound = this.estimate(startNode, endNode);
+
+        while (true) {
+            this.iterations++;
+            yield { type: 'iteration', iteration: this.iterations, bound: this.bound };
+
+            const nextBound = yield* this.boundedSearch(startNode, endNode);
+
+            if (nextBound === null) {
+                yield { type: 'found', node: endNode };
+                return;
+            }
+            if (nextBound === Infinity || this.gaveUp) {
+                yield { type: 'exhausted' };
+                return;
+            }
+            this.bound = nextBound;
+        }
+    }
+
+    /**
+     * One depth-first pass under the current bound, with an explicit stack instead of recursion
+     * @returns {number|null} null if Madara was reached, else the smallest f that went over the bound
+     */
+    *boundedSearch(startNode, endNode) {
+        startNode.g = 0;
+        startNode.parent = null;
+        this.computeScores(startNode, endNode);
+        yield this.frontierEvent('push', startNode);
+
+        const stack = [{ node: startNode, neighbors: null, next: 0 }];
+        const onPath = new Set([startNode]); // Never walk in a circle along the current path
+        let nextBound = Infinity;
+
+        while (stack.length > 0) {
+            this.peakStackDepth = Math.max(this.peakStackDepth, stack.length);
+            const frame = stack[stack.length - 1];
+
+            // First visit: goal check, then expand
+            if (frame.neighbors === null) {
+                if (frame.node === endNode) {
+                    return null;
+                }
+                if (this.totalExpansions >= this.expansionLimit) {
+                    this.gaveUp = true;
+                    return Infinity;
+                }
+
+                this.totalExpansions++;
+                yield { type: 'expand', node: frame.node };
+                frame.neighbors = this.getNeighbors(frame.node).filter(neighbor => !neighbor.isWall);
+            }
+
+            // Every child tried - backtrack
+            if (frame.next >= frame.neighbors.length) {
+                stack.pop();
+                onPath.delete(frame.node);
+                continue;
+            }
+
+            const child = frame.neighbors[frame.next++];
+            if (onPath.has(child)) {
+                continue;
+            }
+
+            child.g = frame.node.g + this.getMoveCost(frame.node, child);
+            child.parent = frame.node;
+            this.computeScores(child, endNode);
+            yield this.frontierEvent('push', child);
+
+            // Over the bound: remember how far over, the next pass may go that far
+            if (child.f > this.bound + 1e-9) {
+                nextBound = Math.min(nextBound, child.f);
+                continue;
+            }
+
+            stack.push({ node: child, neighbors: null, next: 0 });
+            onPath.add(child);
+        }
+
+        return nextBound;
+    }
+
+    /**
+     * Fill in h and f for a node whose g is already known
+     */
+    computeScores(node, endNode) {
+        node.h = this.estimate(node, endNode);
+        node.f = node.g + node.h;
+    }
+
+    /**
+     * Count each node once in nodesExplored, however many passes expand it again
+     */
+    visitNode(node, animate) {
+        if (this.isEndpoint(node)) return;
+
+        if (this.exploredNodes.has(node)) {
+            node.isVisited = true;
+            if (animate) {
+                node.updateVisualState();
+            }
+            return;
+        }
+
+        this.exploredNodes.add(node);
+        super.visitNode(node, animate);
+    }
+
+    /**
+     * Result plus the pass count, all expansions and the deepest stack
+     */
+    buildResult(endTime) {
+        return {
+            ...super.buildResult(endTime),
+            iterations: this.iterations,
+            totalExpansions: this.totalExpansions,
+            peakStackDepth: this.peakStackDepth
+        };
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.bound = 0;
+        this.iterations = 0;
+        this.totalExpansions = 0;
+        this.peakStackDepth = 0;
+        this.exploredNodes = new Set();
+        this.gaveUp = false;
+        super.reset();
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            bound: this.bound,
+            iterations: this.iterations,
+            totalExpansions: this.totalExpansions,
+            peakStackDepth: this.peakStackDepth,
+            gaveUp: this.gaveUp
+        };
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * Jump Point Search
+ * Like the Flying Thunder God: skip straight across open ground and only stop where a choice appears
+ *
+ * A* over "jump points" on uniform-cost grids with 8-way movement (diagonals never cut corners).
+ * Symmetric routes through open ground are pruned, so far fewer nodes reach the open set.
+ * Terrain and weights are ignored while searching - every open cell counts as cost 1.
+ */
+class JumpPointSearch extends AStar {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Jump Point Search';
+        // JPS handles its own 8-way jumps; the no-corner-cutting rule matches the pruning below
+        this.movement = { diagonal: true, cornerCutting: 'never' };
+        // Manhattan overestimates once diagonal steps are allowed
+        this.heuristic = options.heuristic && options.heuristic !== 'manhattan' ? options.heuristic : 'octile';
+        this.nodesScanned = 0; // Cells passed over while jumping
+        this.baseline = null; // Plain A* on the same map, for the node-count comparison
+    }
+
+    /**
+     * A* where the successors of a node are the jump points reachable from it
+     */
+    *search(startNode, endNode) {
+        startNode.g = 0;
+        this.computeScores(startNode, endNode);
+        this.openSet.push(startNode);
+        yield { ...this.frontierEvent('push', startNode), jumpPoint: true };
+
+        while (!this.openSet.isEmpty()) {
+            const currentNode = this.openSet.pop();
+
+            if (currentNode === endNode) {
+                const path = this.expandPath(this.reconstructPath(currentNode));
+                // Rewire parents cell by cell so reconstructPath() returns the walkable route
+                path.forEach((node, index) => {
+                    node.parent = index > 0 ? path[index - 1] : null;
+                });
+                yield { type: 'found', node: currentNode, path };
+                return;
+            }
+
+            this.closedSet.add(currentNode);
+            yield { type: 'expand', node: currentNode };
+
+            for (const neighbor of this.getPrunedNeighbors(currentNode)) {
+                const scanned = [];
+                const jumpNode = this.jump(neighbor, currentNode, endNode, scanned);
+
+                for (const node of scanned) {
+                    this.nodesScanned++;
+                    yield { type: 'scan', node };
+                }
+
+                if (!jumpNode || this.closedSet.has(jumpNode)) {
+                    continue;
+                }
+
+                // Straight or diagonal run, so the octile distance is the exact cost
+                const tentativeG = currentNode.g + Heuristics.estimate(currentNode, jumpNode, 'octile');
+                if (tentativeG < jumpNode.g) {
+                    jumpNode.parent = currentNode;
+                    jumpNode.g = tentativeG;
+                    this.computeScores(jumpNode, endNode);
+
+                    if (this.openSet.has(jumpNode)) {
+                        this.openSet.update(jumpNode);
+                        yield { ...this.frontierEvent('relax', jumpNode), jumpPoint: true };
+                    } else {
+                        this.openSet.push(jumpNode);
+                        yield { ...this.frontierEvent('push', jumpNode), jumpPoint: true };
+                    }
+                }
+            }
+        }
+
+        yield { type: 'exhausted' };
+    }
+
+    /**
+     * Neighbors worth jumping toward, given the direction we arrived from
+     * Natural neighbors continue the move, forced neighbors appear next to walls
+     */
+    getPrunedNeighbors(node) {
+        if (!node.parent) {
+            return this.getNeighbors(node);
+        }
+
+        const { row, col } = node;
+        const dRow = Math.sign(row - node.parent.row);
+        const dCol = Math.sign(col - node.parent.col);
+        const neighbors = [];
+        const add = (r, c) => {
+            if (this.isWalkable(r, c)) neighbors.push(this.grid.nodes[r][c]);
+        };
+
+        if (dRow !== 0 && dCol !== 0) {
+            // Diagonal: keep going, or peel off along either axis
+            const verticalOpen = this.isWalkable(row + dRow, col);
+            const horizontalOpen = this.isWalkable(row, col + dCol);
+            add(row + dRow, col);
+            add(row, col + dCol);
+            if (verticalOpen && horizontalOpen) {
+                add(row + dRow, col + dCol);
+            }
+        } else if (dCol !== 0) {
+            // Horizontal: ahead, plus the cells beside us and the diagonals past them
+            const aheadOpen = this.isWalkable(row, col + dCol);
+            const upOpen = this.isWalkable(row - 1, col);
+            const downOpen = this.isWalkable(row + 1, col);
+            if (aheadOpen) {
+                add(row, col + dCol);
+                if (upOpen) add(row - 1, col + dCol);
+                if (downOpen) add(row + 1, col + dCol);
+            }
+            if (upOpen) add(row - 1, col);
+            if (downOpen) add(row + 1, col);
+        } else {
+            // Vertical: same idea, turned sideways
+            const aheadOpen = this.isWalkable(row + dRow, col);
+            const leftOpen = this.isWalkable(row, col - 1);
+            const rightOpen = this.isWalkable(row, col + 1);
+            if (aheadOpen) {
+                add(row + dRow, col);
+                if (leftOpen) add(row + dRow, col - 1);
+                if (rightOpen) add(row + dRow, col + 1);
+            }
+            if (leftOpen) add(row, col - 1);
+            if (rightOpen) add(row, col + 1);
+        }
+
+        return neighbors;
+    }
+
+    /**
+     * Run from a node in the direction (fromNode -> node) until a jump point, a wall or the edge
+     * A jump point is the goal, a cell with a forced neighbor, or a diagonal cell whose
+     * straight runs find one
+     * @param {Node[]} scanned - Collects every cell passed over without stopping
+     * @returns {Node|null} The jump point, or null if the run hits a dead end
+     */
+    jump(node, fromNode, endNode, scanned) {
+        const dRow = node.row - fromNode.row;
+        const dCol = node.col - fromNode.col;
+        let row = node.row;
+        let col = node.col;
+
+        while (this.isWalkable(row, col)) {
+            const current = this.grid.nodes[row][col];
+            if (current === endNode) {
+                return current;
+            }
+
+            if (dRow !== 0 && dCol !== 0) {
+                // A straight run from here finds something - this cell is a turning point
+                if (this.jump(this.nodeAt(row, col + dCol), current, endNode, scanned) ||
+                    this.jump(this.nodeAt(row + dRow, col), current, endNode, scanned)) {
+                    return current;
+                }
+                // No squeezing diagonally past a wall
+                if (!this.isWalkable(row + dRow, col) || !this.isWalkable(row, col + dCol)) {
+                    scanned.push(current);
+                    return null;
+                }
+            } else if (dCol !== 0) {
+                // A wall behind us opened up beside us - forced neighbor
+                if ((this.isWalkable(row - 1, col) && !this.isWalkable(row - 1, col - dCol)) ||
+                    (this.isWalkable(row + 1, col) && !this.isWalkable(row + 1, col - dCol))) {
+                    return current;
+                }
+            } else if ((this.isWalkable(row, col - 1) && !this.isWalkable(row - dRow, col - 1)) ||
+                       (this.isWalkable(row, col + 1) && !this.isWalkable(row - dRow, col + 1))) {
+                return current;
+            }
+
+            scanned.push(current);
+            row += dRow;
+            col += dCol;
+        }
+
+        return null;
+    }
+
+    /**
+     * Fill in the cells between consecutive jump points
+     */
+    expandPath(jumpPoints) {
+        const path = jumpPoints.length > 0 ? [jumpPoints[0]] : [];
+        for (let i = 1; i < jumpPoints.length; i++) {
+            const from = jumpPoints[i - 1];
+            const to = jumpPoints[i];
+            const dRow = Math.sign(to.row - from.row);
+            const dCol = Math.sign(to.col - from.col);
+            let row = from.row;
+            let col = from.col;
+            while (row !== to.row || col !== to.col) {
+                row += dRow;
+                col += dCol;
+                path.push(this.grid.nodes[row][col]);
+            }
+        }
+        return path;
+    }
+
+    /**
+     * Check a cell is inside the grid and open
+     */
+    isWalkable(row, col) {
+        return row >= 0 && row < this.grid.rows && col >= 0 && col < this.grid.cols &&
+            !this.grid.nodes[row][col].isWall;
+    }
+
+    /**
+     * Node at a position, or a stand-in for off-grid cells so jump() can stop cleanly
+     */
+    nodeAt(row, col) {
+        const node = this.grid.getNode(row, col);
+        return node || { row, col, isWall: true };
+    }
+
+    /**
+     * Find the path, then run plain A* on a copy of the map to measure the savings
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        const result = await super.findPath(animate, overrideSpeed);
+        // Headless runs go through solve(), which already adds the baseline
+        return animate ? this.withBaseline(result) : result;
+    }
+
+    /**
+     * Headless run, with the same A* baseline as findPath()
+     */
+    solve() {
+        return this.withBaseline(super.solve());
+    }
+
+    /**
+     * Attach { nodesExplored, pathCost } of plain A* (same movement rules) to a result
+     */
+    withBaseline(result) {
+        if (!result) return result;
+
+        const copy = this.grid.clone();
+        const baselineFinder = new AStar(copy, { diagonal: true, cornerCutting: 'never', heuristic: this.heuristic });
+        const startNode = this.getStartNode();
+        const endNode = this.getEndNode();
+        baselineFinder.setEndpoints(copy.getNode(startNode.row, startNode.col), copy.getNode(endNode.row, endNode.col));
+        const baselineResult = baselineFinder.solve();
+        this.baseline = baselineResult ? {
+            nodesExplored: baselineResult.nodesExplored,
+            pathCost: baselineResult.pathCost
+        } : null;
+
+        return { ...result, nodesScanned: this.nodesScanned, baseline: this.baseline };
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.nodesScanned = 0;
+        this.baseline = null;
+        super.reset();
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            nodesScanned: this.nodesScanned,
+            baselineNodesExplored: this.baseline ? this.baseline.nodesExplored : null
+        };
+    }
+}
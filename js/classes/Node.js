@@ -12,16 +12,34 @@ class Node {
         this.isWall = false;
         this.isStart = false;
         this.isEnd = false;
+        this.isWaypoint = false; // A checkpoint Naruto must pass on the way to Madara
+        this.waypointNumber = null; // Order in which the waypoint is visited (1, 2, ...)
+        this.isTarget = false; // A Madara clone Naruto must defeat, in any order
+        this.targetNumber = null; // Clone label (1, 2, ...) in placement order
+        this.squadNumber = null; // Number of the squad ninja (2, 3, ...) starting or ending here - Naruto is ninja 1
+        this.squadRole = null; // 'start' or 'goal' of that ninja
         this.isVisited = false;
+        this.isFrontier = false; // In the open set, discovered but not yet expanded
+        this.isCurrent = false; // Being expanded right now
+        this.isRelaxed = false; // Just got a cheaper route from the current node
+        this.searchDirection = null; // 'backward' when last touched by a search growing from Madara
+        this.isJumpPoint = false; // Jump Point Search stopped here
+        this.isScanned = false; // Jump Point Search passed over this cell without stopping
         this.isPath = false;
+        this.routeLeg = null; // Index of the waypoint leg whose path crosses this cell, kept between legs
+        this.isPatrolRoute = false; // An Anbu guard walks through this cell
+        this.patrolUnit = null; // Number of the guard standing here at the time shown, if any
+        this.isFogged = false; // Naruto has not seen this cell yet (fog of war)
         this.weight = weight; // For weighted pathfinding
-        this.wallType = null; // To store wall type (1 or 2)
+        this.wallType = null; // Wall type (1 or 2), or terrain key ('water', 'mud', ...) on open ground
 
         // A* algorithm properties
         this.g = Infinity; // Cost from start to this node
         this.h = 0; // Heuristic (estimated cost to end)
         this.f = Infinity; // Total cost (g + h)
         this.parent = null; // Previous node in the optimal path
+        this.openedAt = null; // Expansion step when the node joined the open set
+        this.closedAt = null; // Expansion step when the node was expanded
 
         // DOM element reference
         this.element = null;
@@ -33,11 +51,19 @@ class Node {
      */
     reset() {
         this.isVisited = false;
+        this.isFrontier = false;
+        this.isCurrent = false;
+        this.isRelaxed = false;
+        this.searchDirection = null;
+        this.isJumpPoint = false;
+        this.isScanned = false;
         this.isPath = false;
         this.g = Infinity;
         this.h = 0;
         this.f = Infinity;
         this.parent = null;
+        this.openedAt = null;
+        this.closedAt = null;
 
         // Update visual state if element exists
         if (this.element) {
@@ -47,20 +73,23 @@ class Node {
 
     /**
      * Calculate heuristic distance to target node
-     * Using Manhattan distance (like counting city blocks in Konoha)
+     * Manhattan distance by default (like counting city blocks in Konoha)
+     * @param {Node} endNode - Target node
+     * @param {string} heuristic - Heuristic id from Heuristics
+     * @param {number} weight - Epsilon for Weighted A* (1 = plain A*)
      */
-    calculateHeuristic(endNode) {
-        const dx = Math.abs(this.col - endNode.col);
-        const dy = Math.abs(this.row - endNode.row);
-        this.h = dx + dy;
+    calculateHeuristic(endNode, heuristic = 'manhattan', weight = 1) {
+        this.h = Heuristics.estimate(this, endNode, heuristic, weight);
         return this.h;
     }
 
     /**
-     * Get all valid neighbors (up, right, down, left)
+     * Get all valid neighbors (up, right, down, left, then diagonals if enabled)
      * Like checking which paths Naruto can take from current position
+     * @param {Node[][]} grid - Grid nodes
+     * @param {object} movement - { diagonal: boolean, cornerCutting: 'always' | 'never' | 'one-open' }
      */
-    getNeighbors(grid) {
+    getNeighbors(grid, movement = {}) {
         const neighbors = [];
         const directions = [
             [-1, 0], // Up
@@ -79,9 +108,47 @@ class Node {
             }
         }
 
+        if (!movement.diagonal) {
+            return neighbors;
+        }
+
+        const diagonals = [
+            [-1, 1],  // Up-Right
+            [1, 1],   // Down-Right
+            [1, -1],  // Down-Left
+            [-1, -1]  // Up-Left
+        ];
+
+        // Check diagonals, respecting the corner-cutting policy
+        for (const [dRow, dCol] of diagonals) {
+            const newRow = this.row + dRow;
+            const newCol = this.col + dCol;
+
+            if (this.isValidPosition(newRow, newCol, grid) &&
+                this.canCutCorner(dRow, dCol, grid, movement.cornerCutting)) {
+                neighbors.push(grid[newRow][newCol]);
+            }
+        }
+
         return neighbors;
     }
 
+    /**
+     * Check whether a diagonal step may squeeze past the two cells it touches
+     * 'always' ignores them, 'never' needs both open, 'one-open' needs at least one
+     */
+    canCutCorner(dRow, dCol, grid, policy = 'never') {
+        if (policy === 'always') return true;
+
+        const verticalOpen = this.isValidPosition(this.row + dRow, this.col, grid);
+        const horizontalOpen = this.isValidPosition(this.row, this.col + dCol, grid);
+
+        if (policy === 'one-open') {
+            return verticalOpen || horizontalOpen;
+        }
+        return verticalOpen && horizontalOpen;
+    }
+
     /**
      * Check if a position is valid and accessible
      */
@@ -110,8 +177,25 @@ class Node {
             'wall-type-1',
             'wall-type-2',
             'visited-node',
+            'frontier-node',
+            'current-node',
+            'relaxed-node',
+            'backward-search',
+            'jump-point',
+            'scanned-node',
             'path-node',
-            'weighted-node'
+            'waypoint-node',
+            'target-node',
+            'squad-start',
+            'squad-goal',
+            'route-leg',
+            ...Node.ROUTE_LEG_CLASSES,
+            'patrol-route',
+            'patrol-unit',
+            'fog-node',
+            'weighted-node',
+            'terrain-node',
+            ...Terrain.classNames()
         );
 
         // Add appropriate class based on state
@@ -119,6 +203,13 @@ class Node {
             this.element.classList.add('start-node');
         } else if (this.isEnd) {
             this.element.classList.add('end-node');
+        } else if (this.isWaypoint) {
+            this.element.classList.add('waypoint-node');
+        } else if (this.isTarget) {
+            this.element.classList.add('target-node');
+        } else if (this.squadNumber !== null) {
+            // Each ninja wears the color its path is drawn in
+            this.element.classList.add(`squad-${this.squadRole}`, Node.ROUTE_LEG_CLASSES[(this.squadNumber - 1) % Node.ROUTE_LEG_CLASSES.length]);
         } else if (this.isWall) {
             this.element.classList.add('wall-node');
             // Add specific wall type class
@@ -127,19 +218,130 @@ class Node {
             } else if (this.wallType === 2) {
                 this.element.classList.add('wall-type-2');
             }
+        } else if (this.isCurrent) {
+            this.element.classList.add('current-node');
         } else if (this.isPath) {
             this.element.classList.add('path-node');
+        } else if (this.routeLeg !== null) {
+            this.element.classList.add('route-leg', Node.ROUTE_LEG_CLASSES[this.routeLeg % Node.ROUTE_LEG_CLASSES.length]);
         } else if (this.isVisited) {
             this.element.classList.add('visited-node');
+        } else if (this.isRelaxed) {
+            this.element.classList.add('relaxed-node');
+        } else if (this.isFrontier) {
+            this.element.classList.add('frontier-node');
+        } else if (this.isScanned) {
+            this.element.classList.add('scanned-node');
+        } else if (this.isPatrolRoute) {
+            this.element.classList.add('patrol-route');
         }
 
-        // Update weight data attribute if needed
-        if (this.weight > 1 && !this.isStart && !this.isEnd && !this.isWall) {
+        // Guards stand on top of whatever the search left on their cell
+        if (this.patrolUnit !== null && !this.isStart && !this.isEnd && !this.isWall) {
+            this.element.classList.add('patrol-unit');
+            this.element.setAttribute('data-patrol', this.patrolUnit);
+        } else {
+            this.element.removeAttribute('data-patrol');
+        }
+
+        // Cells Naruto has not seen yet are dimmed, whatever is on them
+        if (this.isFogged && !this.isStart && !this.isEnd) {
+            this.element.classList.add('fog-node');
+        }
+
+        if (this.isJumpPoint && !this.isStart && !this.isEnd && !this.isPath) {
+            this.element.classList.add('jump-point');
+        }
+
+        // Bidirectional search paints Madara's side in its own colors
+        const isSearchState = this.isVisited || this.isFrontier || this.isRelaxed;
+        if (this.searchDirection === 'backward' && isSearchState && !this.isPath && !this.isCurrent) {
+            this.element.classList.add('backward-search');
+        }
+
+        // Waypoints and clones wear their number
+        if (this.isWaypoint) {
+            this.element.setAttribute('data-waypoint', this.waypointNumber);
+        } else {
+            this.element.removeAttribute('data-waypoint');
+        }
+        if (this.isTarget) {
+            this.element.setAttribute('data-target', this.targetNumber);
+        } else {
+            this.element.removeAttribute('data-target');
+        }
+        if (this.squadNumber !== null) {
+            this.element.setAttribute('data-squad', this.squadNumber);
+        } else {
+            this.element.removeAttribute('data-squad');
+        }
+
+        // Update terrain / weight data attribute if needed
+        const isOpenGround = !this.isLandmark() && !this.isWall;
+        if (isOpenGround && this.getTerrain()) {
+            this.element.setAttribute('data-weight', this.weight);
+            this.element.classList.add('terrain-node', `terrain-${this.wallType}`);
+        } else if (isOpenGround && this.weight > 1) {
             this.element.setAttribute('data-weight', this.weight);
             this.element.classList.add('weighted-node');
         } else {
             this.element.removeAttribute('data-weight');
         }
+
+        if (Node.decorator) {
+            Node.decorator(this);
+        }
+    }
+
+    /**
+     * Check whether this is Naruto, Madara, a waypoint, a clone or a squad ninja's start or goal - cells no brush paints over
+     */
+    isLandmark() {
+        return this.isStart || this.isEnd || this.isWaypoint || this.isTarget || this.squadNumber !== null;
+    }
+
+    /**
+     * Short name for messages: 'Naruto', 'Madara', 'waypoint 2', 'clone 1', 'ninja 2', or the position
+     */
+    getLabel() {
+        if (this.isStart) return 'Naruto';
+        if (this.isEnd) return 'Madara';
+        if (this.isWaypoint) return `waypoint ${this.waypointNumber}`;
+        if (this.isTarget) return `clone ${this.targetNumber}`;
+        if (this.squadNumber !== null) return this.squadRole === 'goal' ? `ninja ${this.squadNumber}'s goal` : `ninja ${this.squadNumber}`;
+        return `(${this.row}, ${this.col})`;
+    }
+
+    /**
+     * Get this node's terrain definition, or null for plain ground / walls
+     */
+    getTerrain() {
+        return this.isWall ? null : Terrain.get(this.wallType);
+    }
+
+    /**
+     * Turn this node into named terrain, taking its movement cost
+     * @param {string|null} type - Terrain key, or null for plain ground
+     */
+    setTerrain(type) {
+        const terrain = Terrain.get(type);
+        if (this.isLandmark() || this.isWall) return;
+
+        this.wallType = terrain ? type : null;
+        this.weight = terrain ? terrain.cost : 1;
+        this.updateVisualState();
+    }
+
+    /**
+     * Paint a raw movement cost on this node (replaces any terrain)
+     * @param {number} weight - Movement cost
+     */
+    setWeight(weight) {
+        if (this.isLandmark() || this.isWall) return;
+
+        this.wallType = null;
+        this.weight = weight;
+        this.updateVisualState();
     }
 
     /**
@@ -147,7 +349,7 @@ class Node {
      * Like Yamato creating a wood wall
      */
     toggleWall() {
-        if (!this.isStart && !this.isEnd) {
+        if (!this.isLandmark()) {
             this.isWall = !this.isWall;
             // Wall type will be set by Grid.js to ensure proper randomization
         }
@@ -177,6 +379,54 @@ class Node {
         this.updateVisualState();
     }
 
+    /**
+     * Set as a numbered waypoint
+     * A checkpoint Naruto must reach, in order, before facing Madara
+     * @param {number|null} number - Position in the waypoint order, null to clear
+     */
+    setAsWaypoint(number) {
+        this.isWaypoint = number !== null;
+        this.waypointNumber = number;
+        if (number !== null) {
+            this.isWall = false;
+            this.wallType = null;
+            this.weight = 1;
+        }
+        this.updateVisualState();
+    }
+
+    /**
+     * Set as a numbered Madara clone
+     * One of several targets Naruto has to defeat, in whatever order is cheapest
+     * @param {number|null} number - Clone label, null to clear
+     */
+    setAsTarget(number) {
+        this.isTarget = number !== null;
+        this.targetNumber = number;
+        if (number !== null) {
+            this.isWall = false;
+            this.wallType = null;
+            this.weight = 1;
+        }
+        this.updateVisualState();
+    }
+
+    /**
+     * Set as where a squad ninja starts or where it is headed
+     * @param {number|null} number - Ninja number (2, 3, ...), null to clear
+     * @param {string} role - 'start' or 'goal'
+     */
+    setAsSquadMarker(number, role = 'start') {
+        this.squadNumber = number;
+        this.squadRole = number !== null ? role : null;
+        if (number !== null) {
+            this.isWall = false;
+            this.wallType = null;
+            this.weight = 1;
+        }
+        this.updateVisualState();
+    }
+
     /**
      * Create DOM element for this node
      */
@@ -188,4 +438,15 @@ class Node {
         this.updateVisualState();
         return this.element;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Optional function(node) called after every visual update
+ * GridRenderer uses it to draw overlays (scores, parent arrows) on top of the cell
+ */
+Node.decorator = null;
+
+/**
+ * Colors of consecutive waypoint legs, reused in turn when there are more legs than colors
+ */
+Node.ROUTE_LEG_CLASSES = ['route-leg-0', 'route-leg-1', 'route-leg-2', 'route-leg-3', 'route-leg-4', 'route-leg-5'];
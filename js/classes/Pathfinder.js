@@ -0,0 +1,593 @@
+/**
+ * Pathfinder Base Class - Shared plumbing for every search algorithm
+ * Like the Academy basics every ninja learns before mastering their own jutsu
+ */
+class Pathfinder {
+    /**
+     * @param {Grid} grid - The battlefield to search
+     * @param {object} options - Search options
+     * @param {string} options.heuristic - Heuristic id from Heuristics (default Manhattan)
+     * @param {number} options.weight - Heuristic weight epsilon, 1 = plain A*, >1 = Weighted A*
+     * @param {boolean} options.diagonal - Allow 8-directional movement (diagonal steps cost √2)
+     * @param {string} options.cornerCutting - 'always', 'never' or 'one-open' (diagonal movement only)
+     */
+    constructor(grid, options = {}) {
+        this.grid = grid;
+        this.name = 'Pathfinder';
+        this.endpoints = null; // { start, end } set by setEndpoints(), else Naruto and Madara
+        this.departureTime = 0; // Time step Naruto sets off at - Anbu patrols (Grid.patrols) move with time
+        this.movement = {
+            diagonal: !!options.diagonal,
+            cornerCutting: options.cornerCutting || 'never'
+        };
+        // Octile is the exact distance for 8-way movement, so it is the natural default there
+        this.heuristic = options.heuristic || (this.movement.diagonal ? 'octile' : Heuristics.defaultId);
+        this.heuristicWeight = options.weight > 0 ? options.weight : 1;
+        this.costScale = 1; // Cheapest step cost on the map, keeps heuristics admissible
+        this.path = []; // Final path
+        this.visitedNodes = []; // For visualization
+        this.eventLog = []; // Every event of the last run, for SearchTimeline replays
+        this.expansions = 0; // Expansion steps so far, stamped on nodes as openedAt / closedAt
+        this.currentNode = null; // Node being expanded, highlighted while animating
+        this.relaxedNodes = []; // Neighbors improved by the current expansion, highlighted while animating
+        this.isRunning = false;
+        this.gate = new RunGate(); // Pause and single-step, one expansion at a time
+        this.animationSpeed = 50; // milliseconds between steps
+        this.startTime = 0;
+        this.nodesExplored = 0;
+    }
+
+    /**
+     * Search between two other nodes instead of Naruto and Madara (one leg of a waypoint mission)
+     * @param {Node|null} startNode - Where the search begins, null to go back to Naruto
+     * @param {Node|null} endNode - Where it must arrive, null to go back to Madara
+     */
+    setEndpoints(startNode, endNode) {
+        this.endpoints = startNode && endNode ? { start: startNode, end: endNode } : null;
+    }
+
+    /**
+     * Node the search starts from
+     */
+    getStartNode() {
+        return this.endpoints ? this.endpoints.start : this.grid.startNode;
+    }
+
+    /**
+     * Node the search has to reach
+     */
+    getEndNode() {
+        return this.endpoints ? this.endpoints.end : this.grid.endNode;
+    }
+
+    /**
+     * Find a path from the start node to the end node (Naruto to Madara unless setEndpoints() says otherwise)
+     * Returns a promise for async animation
+     * @param {boolean} animate - Whether to show animation
+     * @param {number} overrideSpeed - Optional speed override in milliseconds
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        if (!animate) return this.solve();
+        if (!this.beginRun()) return null;
+
+        // Use override speed if provided, otherwise use instance speed
+        const currentSpeed = overrideSpeed !== null ? overrideSpeed : this.animationSpeed;
+        console.log(`🔍 ${this.name} Starting with speed: ${currentSpeed}ms, animate: ${animate}`);
+
+        const goalNode = await this.runAnimated(this.search(this.getStartNode(), this.getEndNode()), currentSpeed);
+
+        // No path found (or the search was stopped)
+        if (!goalNode || !this.isRunning) {
+            this.finishRun();
+            return null;
+        }
+
+        const endTime = performance.now();
+        this.path = this.reconstructPath(goalNode);
+
+        console.log(`🎯 Path found! Animating with speed: ${currentSpeed}ms`);
+        await this.animatePath(currentSpeed);
+
+        this.finishRun();
+        return this.buildResult(endTime);
+    }
+
+    /**
+     * Find a path synchronously, without touching the DOM
+     * Used by map generators and anything else that only needs the answer
+     */
+    solve() {
+        if (!this.beginRun()) return null;
+
+        const goalNode = this.runInstant(this.search(this.getStartNode(), this.getEndNode()));
+        const endTime = performance.now();
+        this.finishRun();
+
+        if (!goalNode) return null;
+
+        this.path = this.reconstructPath(goalNode);
+        return this.buildResult(endTime);
+    }
+
+    /**
+     * Prepare a new run, or return false if one is already going or Naruto/Madara is missing
+     */
+    beginRun() {
+        if (this.isRunning) return false;
+        if (!this.getStartNode() || !this.getEndNode()) return false;
+
+        this.isRunning = true;
+        this.startTime = performance.now();
+        this.reset();
+        this.costScale = Math.min(1, this.grid.getMinWeight());
+        this.grid.setPatrolTime(this.departureTime);
+        return true;
+    }
+
+    /**
+     * Clear the running/paused flags once a run is over
+     */
+    finishRun() {
+        this.isRunning = false;
+        this.gate.resume();
+    }
+
+    /**
+     * Summary of a successful run
+     * @param {number} endTime - performance.now() when the goal was reached
+     */
+    buildResult(endTime) {
+        return {
+            path: this.path,
+            visitedNodes: this.visitedNodes,
+            pathLength: this.path.length,
+            pathCost: this.calculatePathCost(this.path),
+            euclideanLength: PathSmoother.euclideanLength(this.path),
+            nodesExplored: this.nodesExplored,
+            timeTaken: Math.round(endTime - this.startTime)
+        };
+    }
+
+    /**
+     * The search itself - implemented by each algorithm as a generator
+     * Must set parent pointers and yield events, never touch the DOM or wait:
+     *   { type: 'expand', node }                 - node taken off the frontier
+     *   { type: 'push', node, parent, g, h, f }  - node added to the frontier
+     *   { type: 'relax', node, parent, g, h, f } - cheaper route found to a frontier node
+     *   { type: 'scan', node }                   - cell passed over without stopping (Jump Point Search)
+     *   { type: 'iteration', iteration, bound? } - the search starts over, e.g. an IDA* pass with a new f-bound
+     *   { type: 'found', node, path? }           - reached the end node (last event), path if not plain parents
+     *   { type: 'exhausted' }                    - nothing left to search (last event)
+     * Searches with two frontiers add direction: 'forward' | 'backward' to node events,
+     * Jump Point Search adds jumpPoint: true to push/relax events
+     * @param {Node} startNode - Naruto's position
+     * @param {Node} endNode - Madara's position
+     */
+    *search(startNode, endNode) {
+        throw new Error(`${this.name} does not implement search()`);
+    }
+
+    /**
+     * Build a push or relax event from a node's current scores
+     */
+    frontierEvent(type, node) {
+        return { type, node, parent: node.parent, g: node.g, h: node.h, f: node.f };
+    }
+
+    /**
+     * Apply one search event to the run state and record it in the event log
+     * Returns the goal node for 'found', null otherwise
+     */
+    applyEvent(event, animate) {
+        this.eventLog.push(event);
+        this.stampEvent(event);
+        if (animate) {
+            this.showEvent(event);
+        }
+
+        if (event.type === 'expand') {
+            this.visitNode(event.node, animate);
+        } else if (event.type === 'found') {
+            return event.node;
+        }
+        return null;
+    }
+
+    /**
+     * Record on the node when it was opened and closed (in expansion steps, like the timeline)
+     * and which side of a bidirectional search touched it last
+     */
+    stampEvent(event) {
+        if (event.direction) {
+            event.node.searchDirection = event.direction;
+        }
+        if (event.jumpPoint) {
+            event.node.isJumpPoint = true;
+        }
+
+        if (event.type === 'expand') {
+            this.expansions++;
+            event.node.closedAt = this.expansions;
+        } else if ((event.type === 'push' || event.type === 'relax') && event.node.openedAt === null) {
+            event.node.openedAt = this.expansions;
+        }
+    }
+
+    /**
+     * Paint the frontier, the current node, freshly relaxed neighbors and scanned cells
+     * Closed nodes are painted by visitNode
+     */
+    showEvent(event) {
+        const node = event.node;
+
+        switch (event.type) {
+            case 'push':
+                node.isFrontier = true;
+                node.updateVisualState();
+                break;
+            case 'relax':
+                node.isFrontier = true;
+                node.isRelaxed = true;
+                this.relaxedNodes.push(node);
+                node.updateVisualState();
+                break;
+            case 'scan':
+                node.isScanned = true;
+                node.updateVisualState();
+                break;
+            case 'expand':
+                this.clearHighlights();
+                node.isFrontier = false;
+                node.isCurrent = true;
+                this.currentNode = node;
+                break;
+            case 'iteration':
+                this.clearHighlights();
+                this.clearPassMarks();
+                break;
+            case 'found':
+            case 'exhausted':
+                this.clearHighlights();
+                break;
+        }
+    }
+
+    /**
+     * Wipe the explored and frontier marks of the previous pass, which starts over from Naruto
+     */
+    clearPassMarks() {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                const node = this.grid.nodes[row][col];
+                if (node.isVisited || node.isFrontier) {
+                    node.isVisited = false;
+                    node.isFrontier = false;
+                    node.updateVisualState();
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove the current-node and relaxed-neighbor highlights of the previous expansion
+     */
+    clearHighlights() {
+        if (this.currentNode) {
+            this.currentNode.isCurrent = false;
+            this.currentNode.updateVisualState();
+            this.currentNode = null;
+        }
+        this.relaxedNodes.forEach(node => {
+            node.isRelaxed = false;
+            node.updateVisualState();
+        });
+        this.relaxedNodes = [];
+    }
+
+    /**
+     * Drain a search iterator in one go - the instant runner
+     * @param {Iterator} events - Iterator from search()
+     */
+    runInstant(events) {
+        for (const event of events) {
+            const goalNode = this.applyEvent(event, false);
+            if (goalNode) return goalNode;
+        }
+        return null;
+    }
+
+    /**
+     * Play a search iterator on the grid, pausing after every expansion - the animated runner
+     * The pause comes once the expansion's pushes and relaxations are shown, right before the next one
+     * Honors stop(), pause() and step() between expansions
+     * @param {Iterator} events - Iterator from search()
+     * @param {number} speed - Delay after each expansion in milliseconds
+     */
+    async runAnimated(events, speed) {
+        const stepper = this.createStepper(events);
+
+        while (this.isRunning && this.advance(stepper, true)) {
+            await this.animationPause(speed);
+        }
+        return this.isRunning ? stepper.goalNode : null;
+    }
+
+    /**
+     * Wrap a search iterator so an outside clock can drive it one expansion at a time
+     * @param {Iterator} events - Iterator from search()
+     */
+    createStepper(events) {
+        return { events, pending: null, goalNode: null, done: false };
+    }
+
+    /**
+     * Apply events up to and including one expansion, with its pushes and relaxations
+     * Stops right before the next expansion so the caller can wait in between
+     * @param {object} stepper - From createStepper()
+     * @param {boolean} animate - Whether to paint the events
+     * @returns {boolean} true while the search has more to do
+     */
+    advance(stepper, animate) {
+        let expanded = false;
+
+        while (!stepper.done) {
+            let event = stepper.pending;
+            stepper.pending = null;
+            if (!event) {
+                const next = stepper.events.next();
+                if (next.done) {
+                    stepper.done = true;
+                    break;
+                }
+                event = next.value;
+            }
+
+            // The next expansion (or the end of the search) belongs to the next tick
+            const startsNewTick = ['expand', 'iteration', 'found', 'exhausted'].includes(event.type);
+            if (startsNewTick && expanded) {
+                stepper.pending = event;
+                return true;
+            }
+
+            const goalNode = this.applyEvent(event, animate);
+            if (goalNode) {
+                stepper.goalNode = goalNode;
+                stepper.done = true;
+            } else if (event.type === 'exhausted') {
+                stepper.done = true;
+            } else if (event.type === 'expand' && event.node !== this.getStartNode()) {
+                expanded = true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Mark a node as explored and show it on the grid
+     * Start and end nodes are never counted
+     */
+    visitNode(node, animate) {
+        if (this.isEndpoint(node)) return;
+
+        node.isVisited = true;
+        this.visitedNodes.push(node);
+        this.nodesExplored++;
+
+        if (animate) {
+            node.updateVisualState();
+        }
+    }
+
+    /**
+     * Check whether a node is where this search starts or ends
+     */
+    isEndpoint(node) {
+        return node === this.getStartNode() || node === this.getEndNode();
+    }
+
+    /**
+     * Wait between animation steps, holding here while paused
+     * @param {number} ms - Milliseconds to delay
+     */
+    async animationPause(ms) {
+        await this.gate.delay(ms);
+        await this.gate.wait();
+    }
+
+    /**
+     * Whether the animated search is held by pause()
+     */
+    get isPaused() {
+        return this.gate.isPaused;
+    }
+
+    /**
+     * Pause the animated search after the current expansion
+     * Can be called before findPath() to start paused
+     */
+    pause() {
+        if (this.isPaused) return;
+        console.log(`⏸️ ${this.name} paused`);
+        this.gate.pause();
+    }
+
+    /**
+     * Resume a paused search
+     */
+    resume() {
+        if (!this.isPaused) return;
+        console.log(`▶️ ${this.name} resumed`);
+        this.gate.resume();
+    }
+
+    /**
+     * Advance exactly one node expansion, then stay paused
+     */
+    step() {
+        this.gate.step();
+    }
+
+    /**
+     * Get the walkable neighbors of a node under the current movement rules
+     */
+    getNeighbors(node) {
+        return node.getNeighbors(this.grid.nodes, this.movement);
+    }
+
+    /**
+     * Cost of stepping from one node onto an adjacent one
+     * The entered node's weight, times √2 for a diagonal step
+     */
+    getMoveCost(fromNode, toNode) {
+        const isDiagonal = fromNode.row !== toNode.row && fromNode.col !== toNode.col;
+        return isDiagonal ? toNode.weight * Math.SQRT2 : toNode.weight;
+    }
+
+    /**
+     * Total movement cost of a path (terrain and weights included)
+     * Like counting how much chakra the journey really takes
+     */
+    calculatePathCost(path) {
+        let cost = 0;
+        for (let i = 1; i < path.length; i++) {
+            cost += this.getMoveCost(path[i - 1], path[i]);
+        }
+        return Math.round(cost * 100) / 100;
+    }
+
+    /**
+     * Reconstruct the path from start to end
+     * Like retracing Naruto's steps
+     */
+    reconstructPath(endNode) {
+        const path = [];
+        let currentNode = endNode;
+
+        while (currentNode !== null) {
+            path.unshift(currentNode);
+            currentNode = currentNode.parent;
+        }
+
+        return path;
+    }
+
+    /**
+     * Animate the final path
+     * Show Naruto's journey with style!
+     * Anbu guards walk one cell per path step alongside, so every step is a frame while there are any
+     * @param {number} speed - Animation speed in milliseconds
+     */
+    async animatePath(speed = null) {
+        const pathSpeed = speed !== null ? speed : this.animationSpeed;
+        const hasPatrols = this.grid.patrols.length > 0;
+        console.log(`🎬 Animating path with ${pathSpeed}ms delay between steps`);
+
+        for (let i = 0; i < this.path.length; i++) {
+            const node = this.path[i];
+            if (hasPatrols) {
+                this.grid.setPatrolTime(this.departureTime + i);
+            }
+            if (!this.isEndpoint(node)) {
+                node.isPath = true;
+                node.updateVisualState();
+            }
+            if (!this.isEndpoint(node) || hasPatrols) {
+                // Use slower speed for path animation (more dramatic)
+                await this.animationPause(pathSpeed * 2);
+            }
+        }
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.path = [];
+        this.visitedNodes = [];
+        this.eventLog = [];
+        this.expansions = 0;
+        this.currentNode = null;
+        this.relaxedNodes = [];
+        this.nodesExplored = 0;
+        this.grid.resetPathfinding();
+    }
+
+    /**
+     * Stop the algorithm
+     */
+    stop() {
+        console.log(`⏹️ ${this.name} algorithm stopped`);
+        this.clearHighlights();
+        this.isRunning = false;
+        this.gate.resume();
+    }
+
+    /**
+     * Set animation speed
+     * @param {number} speed - Speed in milliseconds
+     */
+    setSpeed(speed) {
+        const oldSpeed = this.animationSpeed;
+        this.animationSpeed = Math.max(1, Math.min(1000, speed)); // Clamp between 1ms and 1000ms
+        console.log(`⚡ Speed updated: ${oldSpeed}ms → ${this.animationSpeed}ms`);
+    }
+
+    /**
+     * Set the heuristic used by informed searches
+     * @param {string} heuristic - Heuristic id from Heuristics
+     * @param {number} weight - Epsilon for Weighted A*
+     */
+    setHeuristic(heuristic, weight = 1) {
+        this.heuristic = heuristic;
+        this.heuristicWeight = weight > 0 ? weight : 1;
+    }
+
+    /**
+     * Estimate the remaining cost from a node to the target
+     * Scaled by the cheapest step cost so terrain like roads never makes it overestimate
+     */
+    estimate(node, endNode) {
+        return node.calculateHeuristic(endNode, this.heuristic, this.heuristicWeight * this.costScale);
+    }
+
+    /**
+     * Get current animation speed
+     */
+    getSpeed() {
+        return this.animationSpeed;
+    }
+
+    /**
+     * Utility: Remove element from array
+     */
+    removeFromArray(array, element) {
+        const index = array.indexOf(element);
+        if (index > -1) {
+            array.splice(index, 1);
+        }
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        return {
+            pathLength: this.path.length,
+            nodesExplored: this.nodesExplored,
+            heuristic: this.heuristic,
+            heuristicWeight: this.heuristicWeight,
+            diagonal: this.movement.diagonal,
+            cornerCutting: this.movement.cornerCutting,
+            currentSpeed: this.animationSpeed,
+            isRunning: this.isRunning,
+            isPaused: this.isPaused
+        };
+    }
+
+    /**
+     * Check if algorithm is currently running
+     */
+    isAlgorithmRunning() {
+        return this.isRunning;
+    }
+}
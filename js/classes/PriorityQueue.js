@@ -0,0 +1,187 @@
+/**
+ * Indexed Binary Heap Priority Queue
+ * Like the Hokage's mission board - the most urgent mission is always on top
+ *
+ * Every item's heap position is tracked, so membership checks, removal and
+ * decrease-key are O(1) / O(log n) instead of scanning the whole open set.
+ */
+class PriorityQueue {
+    /**
+     * @param {function} compare - (a, b) => negative if a should come out first
+     *                             Defaults to lowest f, ties broken by lowest h
+     */
+    constructor(compare = (a, b) => (a.f - b.f) || (a.h - b.h)) {
+        this.compare = compare;
+        this.heap = [];
+        this.positions = new Map(); // item -> index in heap
+        this.insertOrder = new Map(); // item -> insertion counter, final tie-break
+        this.counter = 0;
+    }
+
+    /**
+     * Number of items in the queue
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Check if the queue is empty
+     */
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    /**
+     * Check if an item is in the queue
+     */
+    has(item) {
+        return this.positions.has(item);
+    }
+
+    /**
+     * Add an item, or re-position it if it is already queued
+     */
+    push(item) {
+        if (this.has(item)) {
+            this.update(item);
+            return;
+        }
+
+        this.heap.push(item);
+        this.positions.set(item, this.heap.length - 1);
+        this.insertOrder.set(item, this.counter++);
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Look at the top item without removing it
+     */
+    peek() {
+        return this.heap.length > 0 ? this.heap[0] : null;
+    }
+
+    /**
+     * Remove and return the top item
+     */
+    pop() {
+        if (this.heap.length === 0) return null;
+
+        const top = this.heap[0];
+        this.removeAt(0);
+        return top;
+    }
+
+    /**
+     * Remove a specific item from anywhere in the queue
+     */
+    remove(item) {
+        const index = this.positions.get(item);
+        if (index === undefined) return false;
+
+        this.removeAt(index);
+        return true;
+    }
+
+    /**
+     * Restore heap order after an item's priority changed
+     * Decrease-key moves it up; an increase moves it down
+     */
+    update(item) {
+        const index = this.positions.get(item);
+        if (index === undefined) return;
+
+        this.siftDown(this.siftUp(index));
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.heap = [];
+        this.positions.clear();
+        this.insertOrder.clear();
+        this.counter = 0;
+    }
+
+    /**
+     * Snapshot of the queued items (heap order, not sorted)
+     */
+    toArray() {
+        return this.heap.slice();
+    }
+
+    /**
+     * Internal: remove the item at a heap index
+     */
+    removeAt(index) {
+        const item = this.heap[index];
+        const last = this.heap.pop();
+        this.positions.delete(item);
+        this.insertOrder.delete(item);
+
+        if (index < this.heap.length) {
+            this.heap[index] = last;
+            this.positions.set(last, index);
+            this.siftDown(this.siftUp(index));
+        }
+    }
+
+    /**
+     * Internal: true if item a should come out before item b
+     */
+    isBefore(a, b) {
+        const result = this.compare(a, b);
+        if (result !== 0) return result < 0;
+        // Equal priority: first in, first out (like scanning the old open set array)
+        return this.insertOrder.get(a) < this.insertOrder.get(b);
+    }
+
+    /**
+     * Internal: move an item up until its parent comes first
+     * @returns {number} The item's final index
+     */
+    siftUp(index) {
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            if (!this.isBefore(this.heap[index], this.heap[parentIndex])) break;
+            this.swap(index, parentIndex);
+            index = parentIndex;
+        }
+        return index;
+    }
+
+    /**
+     * Internal: move an item down until both children come after it
+     * @returns {number} The item's final index
+     */
+    siftDown(index) {
+        const length = this.heap.length;
+
+        while (true) {
+            const left = 2 * index + 1;
+            const right = left + 1;
+            let best = index;
+
+            if (left < length && this.isBefore(this.heap[left], this.heap[best])) best = left;
+            if (right < length && this.isBefore(this.heap[right], this.heap[best])) best = right;
+            if (best === index) break;
+
+            this.swap(index, best);
+            index = best;
+        }
+        return index;
+    }
+
+    /**
+     * Internal: swap two heap slots and keep positions in sync
+     */
+    swap(i, j) {
+        const a = this.heap[i];
+        const b = this.heap[j];
+        this.heap[i] = b;
+        this.heap[j] = a;
+        this.positions.set(b, i);
+        this.positions.set(a, j);
+    }
+}
@@ -0,0 +1,370 @@
+/**
+ * Pursuit - Madara flees across the battlefield while Naruto chases him
+ * Like the Fourth Great Ninja War: every time Madara moves, Naruto has to rethink his route
+ *
+ * The chase runs in ticks. Each tick Naruto replans from where he stands to where Madara is now,
+ * with the chosen algorithm, and takes one step along that path; then Madara moves by his evasion
+ * policy (see EvasionPolicies). Madara is caught when the two share a cell.
+ * Every tick is recorded in a trace, so the chase can be replayed with seek().
+ */
+class Pursuit {
+    /**
+     * @param {Grid} grid - The battlefield, Naruto and Madara where the chase starts
+     * @param {function(Grid): Pathfinder} createFinder - Makes a fresh pathfinder on the given grid for every tick
+     * @param {object} options - Chase options
+     * @param {string} options.policy - Evasion policy id from EvasionPolicies
+     * @param {number} options.madaraSpeed - Madara's moves per Naruto move, up to 1 (as fast as Naruto, he may never be caught)
+     * @param {number} options.maxTicks - Ticks before Madara counts as escaped
+     */
+    constructor(grid, createFinder, options = {}) {
+        this.grid = grid;
+        this.createFinder = createFinder;
+        this.policyId = EvasionPolicies.get(options.policy) ? options.policy : EvasionPolicies.defaultId;
+        this.madaraSpeed = options.madaraSpeed > 0 ? Math.min(1, options.madaraSpeed) : 1;
+        this.maxTicks = options.maxTicks || grid.rows * grid.cols * 2;
+        this.finder = null; // Naruto's planner of the current tick
+        this.mover = null; // Pathfinder used for movement rules and step costs
+        this.policyState = null; // Whatever the evasion policy keeps between ticks
+        this.origin = null; // { naruto, madara }: where the chase started, and where finish() puts them back
+        this.shown = null; // { naruto, madara }: where seek() last put them, until closeReplay()
+        this.tick = 0;
+        this.stamina = 0; // Madara moves each time this reaches 1
+        this.path = []; // Naruto's route so far, in the cells he actually walked
+        this.trace = []; // One entry per tick: { tick, naruto, madara, plan, explored, nodesExplored }
+        this.frame = 0; // Trace entry shown by seek()
+        this.outcome = null; // 'captured', 'escaped' (tick limit), 'unreachable' or 'stopped'
+        this.nodesExplored = 0;
+        this.isRunning = false;
+        this.gate = new RunGate(); // Pause and single-step, one tick at a time
+        this.onTick = null; // Optional callback(pursuit) after every tick
+    }
+
+    /**
+     * Index of the last trace entry - the state the chase ended in
+     */
+    get lastFrame() {
+        return Math.max(0, this.trace.length - 1);
+    }
+
+    /**
+     * Play the chase tick by tick on the grid
+     * @param {boolean} animate - Whether to show every tick
+     * @param {number} overrideSpeed - Optional speed override in milliseconds
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        if (!animate) return this.solve();
+        if (!this.begin()) return null;
+
+        const speed = overrideSpeed !== null ? overrideSpeed : 50;
+        console.log(`🏃 Chase started - Madara uses ${EvasionPolicies.get(this.policyId).name}`);
+
+        this.paint();
+        await this.gate.wait();
+        while (this.isRunning) {
+            const goesOn = this.playTick();
+            this.paint();
+            if (this.onTick) {
+                this.onTick(this);
+            }
+            if (!goesOn) break;
+
+            // A tick is a whole search plus two moves - give it more time than one expansion
+            await this.gate.delay(speed * 4);
+            await this.gate.wait();
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * Play the whole chase synchronously
+     */
+    solve() {
+        if (!this.begin()) return null;
+
+        while (this.playTick());
+
+        return this.finish();
+    }
+
+    /**
+     * Prepare a new chase, or return false if one is already going or Naruto/Madara is missing
+     */
+    begin() {
+        if (this.isRunning) return false;
+        if (!this.grid.startNode || !this.grid.endNode) return false;
+
+        this.isRunning = true;
+        this.startTime = performance.now();
+        this.tick = 0;
+        this.stamina = 0;
+        this.outcome = null;
+        this.nodesExplored = 0;
+        this.origin = { naruto: this.grid.startNode, madara: this.grid.endNode };
+        this.shown = null;
+        this.path = [this.grid.startNode];
+        this.mover = this.createFinder(this.grid);
+        const policy = EvasionPolicies.get(this.policyId);
+        this.policyState = policy.prepare ? policy.prepare(this) : null;
+
+        this.trace = [];
+        this.record([], []);
+        return true;
+    }
+
+    /**
+     * One tick: Naruto replans and steps toward Madara, then Madara moves if he has the stamina
+     * @returns {boolean} true while the chase goes on
+     */
+    playTick() {
+        const naruto = this.grid.startNode;
+        const madara = this.grid.endNode;
+        if (naruto === madara) {
+            this.outcome = 'captured';
+            return false;
+        }
+        if (this.tick >= this.maxTicks) {
+            this.outcome = 'escaped';
+            return false;
+        }
+
+        this.finder = this.createFinder(this.grid);
+        const plan = this.finder.solve();
+        if (!plan) {
+            this.outcome = 'unreachable';
+            return false;
+        }
+        this.nodesExplored += plan.nodesExplored;
+        this.tick++;
+
+        // Naruto moves first - stepping onto Madara ends it before he can get away
+        const narutoNext = plan.path[1];
+        let madaraNext = madara;
+        if (narutoNext !== madara) {
+            this.stamina += this.madaraSpeed;
+            if (this.stamina >= 1 - 1e-9) {
+                this.stamina -= 1;
+                madaraNext = EvasionPolicies.get(this.policyId).move(this, madara, narutoNext) || madara;
+            }
+        }
+
+        this.grid.moveEndpoints(narutoNext, madaraNext);
+        this.path.push(narutoNext);
+        this.record(plan.path, plan.visitedNodes);
+
+        if (narutoNext === madaraNext) {
+            this.outcome = 'captured';
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Add the current positions, Naruto's plan and what it explored to the trace
+     */
+    record(plan, explored) {
+        const position = node => ({ row: node.row, col: node.col });
+        this.trace.push({
+            tick: this.tick,
+            naruto: position(this.grid.startNode),
+            madara: position(this.grid.endNode),
+            plan: plan.map(position),
+            explored: explored.map(position),
+            nodesExplored: explored.length
+        });
+        this.frame = this.lastFrame;
+    }
+
+    /**
+     * Wrap up the chase, or return null if it was stopped
+     * Naruto and Madara go back to where the chase started - the trace keeps where it ended
+     */
+    finish() {
+        const endTime = performance.now();
+        const stopped = !this.isRunning;
+        this.isRunning = false;
+        this.gate.resume();
+        this.grid.moveEndpoints(this.origin.naruto, this.origin.madara);
+
+        if (stopped) {
+            this.outcome = 'stopped';
+            return null;
+        }
+
+        return {
+            path: this.path,
+            visitedNodes: this.nodesExplored,
+            pathLength: this.path.length,
+            pathCost: this.mover.calculatePathCost(this.path),
+            euclideanLength: PathSmoother.euclideanLength(this.path),
+            nodesExplored: this.nodesExplored,
+            timeTaken: Math.round(endTime - this.startTime),
+            chase: {
+                outcome: this.outcome,
+                captured: this.outcome === 'captured',
+                ticks: this.tick,
+                policy: this.policyId
+            }
+        };
+    }
+
+    /**
+     * Show the grid as it was after a given tick: both ninjas, Naruto's plan and what it explored
+     * @param {number} frame - Trace index, clamped to the trace
+     * @returns {object} { frame, tick, naruto, madara, nodesExplored, captured }
+     */
+    seek(frame) {
+        this.frame = Math.max(0, Math.min(this.lastFrame, Math.round(frame)));
+        const entry = this.trace[this.frame];
+        const nodeAt = position => this.grid.getNode(position.row, position.col);
+
+        this.grid.resetPathfinding(false);
+        this.shown = { naruto: nodeAt(entry.naruto), madara: nodeAt(entry.madara) };
+        this.grid.moveEndpoints(this.shown.naruto, this.shown.madara);
+        entry.explored.forEach(position => {
+            nodeAt(position).isVisited = true;
+        });
+        this.markPlan(entry.plan.map(nodeAt));
+        this.repaint();
+
+        return {
+            frame: this.frame,
+            tick: entry.tick,
+            naruto: nodeAt(entry.naruto),
+            madara: nodeAt(entry.madara),
+            nodesExplored: entry.nodesExplored,
+            captured: this.frame === this.lastFrame && this.outcome === 'captured'
+        };
+    }
+
+    /**
+     * Leave the replay: Naruto and Madara go back to where the chase started
+     * If the user has moved either of them since, or the grid was rebuilt, they stay where they are
+     */
+    closeReplay() {
+        if (!this.shown) return;
+
+        const { naruto, madara } = this.shown;
+        this.shown = null;
+        const onGrid = node => this.grid.getNode(node.row, node.col) === node;
+        if (!onGrid(this.origin.naruto) || !onGrid(this.origin.madara)) return;
+
+        const stayed = this.grid.startNode === naruto && this.grid.endNode === madara;
+        if (stayed) {
+            this.grid.moveEndpoints(this.origin.naruto, this.origin.madara);
+        }
+    }
+
+    /**
+     * Draw the current tick: what Naruto's search explored and the path it chose
+     */
+    paint() {
+        if (this.finder) {
+            this.markPlan(this.finder.path);
+        }
+        this.repaint();
+    }
+
+    /**
+     * Mark the planned path, minus the cells Naruto and Madara stand on
+     */
+    markPlan(path) {
+        path.forEach(node => {
+            if (!node.isStart && !node.isEnd) {
+                node.isPath = true;
+            }
+        });
+    }
+
+    /**
+     * Redraw every cell
+     */
+    repaint() {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                this.grid.nodes[row][col].updateVisualState();
+            }
+        }
+    }
+
+    /**
+     * Open cells one step from a node, under the chosen movement rules
+     */
+    getMoves(node) {
+        return this.mover.getNeighbors(node);
+    }
+
+    /**
+     * What it costs to walk from a node to every cell it can reach (Dijkstra, terrain included)
+     * @returns {Map<Node, number>} Reachable cells and their cost
+     */
+    costsFrom(source) {
+        const costs = new Map([[source, 0]]);
+        const open = new PriorityQueue((a, b) => costs.get(a) - costs.get(b));
+        open.push(source);
+
+        while (!open.isEmpty()) {
+            const node = open.pop();
+            for (const next of this.getMoves(node)) {
+                const cost = costs.get(node) + this.mover.getMoveCost(node, next);
+                if (cost < (costs.has(next) ? costs.get(next) : Infinity)) {
+                    costs.set(next, cost);
+                    if (open.has(next)) {
+                        open.update(next);
+                    } else {
+                        open.push(next);
+                    }
+                }
+            }
+        }
+        return costs;
+    }
+
+    /**
+     * Path between two cells, searched on a copy of the map so the grid is left alone
+     * @returns {Node[]|null} Cells of this grid from one to the other, or null if there is no way
+     */
+    findRoute(from, to) {
+        const copy = this.grid.clone();
+        const finder = this.createFinder(copy);
+        finder.setEndpoints(copy.getNode(from.row, from.col), copy.getNode(to.row, to.col));
+        const result = finder.solve();
+        return result ? result.path.map(node => this.grid.getNode(node.row, node.col)) : null;
+    }
+
+    /**
+     * Whether the chase is held by pause()
+     */
+    get isPaused() {
+        return this.gate.isPaused;
+    }
+
+    /**
+     * Pause after the current tick; can be called before findPath() to start paused
+     */
+    pause() {
+        this.gate.pause();
+    }
+
+    /**
+     * Resume a paused chase
+     */
+    resume() {
+        this.gate.resume();
+    }
+
+    /**
+     * Play exactly one tick, then stay paused
+     */
+    step() {
+        this.gate.step();
+    }
+
+    /**
+     * Stop the chase after the current tick
+     */
+    stop() {
+        this.isRunning = false;
+        this.gate.resume();
+    }
+}
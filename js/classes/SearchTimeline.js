@@ -0,0 +1,179 @@
+/**
+ * Search Timeline - Replays a finished search from its recorded events
+ * Like Kakashi's Sharingan: rewatch every move of the fight without fighting it again
+ */
+class SearchTimeline {
+    /**
+     * @param {Grid} grid - The battlefield the search ran on
+     * @param {object[]} events - Event log recorded by a Pathfinder run (see Pathfinder.search)
+     */
+    constructor(grid, events) {
+        this.grid = grid;
+        this.events = events;
+
+        // Frame k shows the search right after its k-th expansion, frame 0 before the first one
+        // frameEnds[k] is the index of the first event that frame k does NOT include
+        this.frameEnds = [];
+        events.forEach((event, index) => {
+            if (event.type === 'expand') {
+                this.frameEnds.push(index);
+            }
+        });
+        this.frameEnds.push(events.length);
+
+        this.frame = this.lastFrame;
+    }
+
+    /**
+     * Number of frames (expansions + 1)
+     */
+    get frameCount() {
+        return this.frameEnds.length;
+    }
+
+    /**
+     * Index of the final frame - the state the run ended in
+     */
+    get lastFrame() {
+        return this.frameEnds.length - 1;
+    }
+
+    /**
+     * Show the grid as it was at a given frame
+     * Node scores, parents, open/closed sets and the current best path are all restored
+     * @param {number} frame - Frame index, clamped to the timeline
+     * @returns {object} { frame, current, openCount, closedCount, bestPath, found, iteration, bound }
+     */
+    seek(frame) {
+        this.frame = Math.max(0, Math.min(this.lastFrame, Math.round(frame)));
+        this.grid.resetPathfinding(false);
+
+        let current = null;
+        let relaxed = [];
+        let goal = null;
+        let goalPath = null; // Searches that rewire parents at the end (bidirectional) send the path
+        let finished = false;
+        let closedCount = 0;
+        let iteration = null; // IDA* pass and its f-bound, null for single-pass searches
+        let bound = null;
+        const open = new Set();
+
+        for (let i = 0; i < this.frameEnds[this.frame]; i++) {
+            const event = this.events[i];
+            const node = event.node;
+
+            switch (event.type) {
+                case 'push':
+                case 'relax':
+                    if (event.type === 'relax') relaxed.push(node);
+                    if (node.openedAt === null) node.openedAt = closedCount;
+                    node.searchDirection = event.direction || null;
+                    if (event.jumpPoint) node.isJumpPoint = true;
+                    node.g = event.g;
+                    node.h = event.h;
+                    node.f = event.f;
+                    node.parent = event.parent;
+                    node.isFrontier = true;
+                    open.add(node);
+                    break;
+                case 'expand':
+                    node.searchDirection = event.direction || null;
+                    node.isFrontier = false;
+                    open.delete(node);
+                    current = node;
+                    relaxed = [];
+                    closedCount++;
+                    node.closedAt = closedCount;
+                    // Same rule as Pathfinder.visitNode - Naruto and Madara never show as explored
+                    if (!node.isStart && !node.isEnd) {
+                        node.isVisited = true;
+                    }
+                    break;
+                case 'scan':
+                    node.isScanned = true;
+                    break;
+                case 'iteration':
+                    // A new pass starts from scratch - only its own marks show
+                    this.clearPassMarks();
+                    open.clear();
+                    current = null;
+                    relaxed = [];
+                    iteration = event.iteration;
+                    bound = event.bound;
+                    break;
+                case 'found':
+                    goal = node;
+                    goalPath = event.path || null;
+                    finished = true;
+                    break;
+                case 'exhausted':
+                    finished = true;
+                    break;
+            }
+        }
+
+        // Highlight the expansion this frame stops on, like the live run does
+        if (current && !finished) {
+            current.isCurrent = true;
+            relaxed.forEach(node => { node.isRelaxed = true; });
+        }
+
+        // The best path so far ends at the goal once found, otherwise at the node just expanded
+        const bestPath = goalPath || this.tracePath(goal || current);
+        bestPath.forEach(node => {
+            if (!node.isStart && !node.isEnd) {
+                node.isPath = true;
+            }
+        });
+
+        this.repaint();
+
+        return {
+            frame: this.frame,
+            current,
+            openCount: open.size,
+            closedCount,
+            bestPath,
+            found: !!goal,
+            iteration,
+            bound
+        };
+    }
+
+    /**
+     * Follow parent pointers back to the start
+     * Stops at a repeat, since two search sides can point nodes at each other mid-search
+     */
+    tracePath(node) {
+        const path = [];
+        const seen = new Set();
+        for (let step = node; step && !seen.has(step); step = step.parent) {
+            seen.add(step);
+            path.unshift(step);
+        }
+        return path;
+    }
+
+    /**
+     * Clear the explored and frontier marks left by an earlier pass (IDA*)
+     */
+    clearPassMarks() {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                this.grid.nodes[row][col].isVisited = false;
+                this.grid.nodes[row][col].isFrontier = false;
+            }
+        }
+    }
+
+    /**
+     * Redraw every cell after a seek
+     */
+    repaint() {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                this.grid.nodes[row][col].updateVisualState();
+            }
+        }
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * Space-Time A* - Plans around Anbu patrols
+ * Like sneaking past the Anbu: know where every guard will be, and slip through once they have walked on
+ *
+ * Searches (cell, time) states instead of cells. Every move takes one time step, and so does waiting in
+ * place, which costs the weight of the cell Naruto waits on. A move is blocked when a guard stands on the
+ * cell Naruto enters at that time, or when Naruto and a guard would walk past each other.
+ * Guards repeat their rounds, so two states on the same cell a whole round apart (Grid.getPatrolPeriod)
+ * are the same state - without guards, waiting never pays and the search is plain A*.
+ * In a squad, a ConstraintTable adds the cells and moves other ninjas need; Naruto may only stop on his goal
+ * once nobody else needs it any more, and never on a goal an Anbu guard walks over.
+ */
+class SpaceTimeAStar extends Pathfinder {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Space-Time A*';
+        this.expansionLimit = options.expansionLimit || 200000; // Give up rather than freeze on long patrol rounds
+        this.period = 1; // Time steps before the guards repeat
+        this.statesExpanded = 0; // (cell, time) states taken off the queue, a cell counts again at another time
+        this.exploredNodes = new Set(); // Distinct cells expanded
+        this.timedPath = null; // One cell per time step, repeated where Naruto waits
+        this.gaveUp = false;
+        this.constraints = options.constraints || null; // ConstraintTable from the other ninjas of a squad
+        this.goalPatrolled = false; // A squad goal lies on a patrol route, so no ninja can stay there
+    }
+
+    /**
+     * A* over (cell, time) states, from Naruto at the departure time to Madara at any time
+     */
+    *search(startNode, endNode) {
+        this.period = this.grid.getPatrolPeriod();
+        // Past the last constraint, only the guards' round tells time steps apart
+        const horizon = this.constraints ? this.constraints.horizon : 0;
+        const stateKey = (node, time) => `${node.row},${node.col}@${time <= horizon ? time : horizon + (time - horizon) % this.period}`;
+        const canStop = time => !this.constraints || time > this.constraints.lastBlockedAt(endNode);
+
+        // A squad ninja stays on its goal for good, and every guard walks its whole route each round -
+        // on a goal along a route, a guard would step onto it sooner or later, whenever the ninja arrives
+        if (this.constraints && this.grid.patrols.some(patrol => patrol.route.includes(endNode))) {
+            this.goalPatrolled = true;
+            yield { type: 'exhausted' };
+            return;
+        }
+
+        const start = this.createState(startNode, this.departureTime, 0, null, endNode);
+        const open = new PriorityQueue();
+        const states = new Map([[stateKey(startNode, start.time), start]]);
+        const closed = new Set();
+        open.push(start);
+        yield this.stateEvent('push', start);
+
+        while (!open.isEmpty()) {
+            const current = open.pop();
+            closed.add(stateKey(current.node, current.time));
+
+            if (current.node === endNode && canStop(current.time)) {
+                this.timedPath = this.traceStates(current);
+                yield { type: 'found', node: endNode, path: this.timedPath };
+                return;
+            }
+            if (this.statesExpanded >= this.expansionLimit) {
+                this.gaveUp = true;
+                break;
+            }
+
+            this.statesExpanded++;
+            yield { type: 'expand', node: current.node, time: current.time };
+
+            // Every neighbor one step later, or the same cell (waiting)
+            const time = current.time + 1;
+            for (const next of [current.node, ...this.getNeighbors(current.node)]) {
+                if (this.isBlocked(current.node, next, time)) continue;
+
+                const key = stateKey(next, time);
+                if (closed.has(key)) continue;
+
+                const g = current.g + this.getMoveCost(current.node, next);
+                const known = states.get(key);
+                if (!known) {
+                    const state = this.createState(next, time, g, current, endNode);
+                    states.set(key, state);
+                    open.push(state);
+                    yield this.stateEvent('push', state);
+                } else if (g < known.g) {
+                    known.g = g;
+                    known.f = g + known.h;
+                    known.time = time;
+                    known.parent = current;
+                    open.update(known);
+                    yield this.stateEvent('relax', known);
+                }
+            }
+        }
+
+        yield { type: 'exhausted' };
+    }
+
+    /**
+     * Whether a guard, or another ninja of the squad, stops a move (or a wait) arriving at a time step
+     */
+    isBlocked(from, to, time) {
+        if (this.grid.getGuardOnStep(from, to, time) !== null) return true;
+        return this.constraints !== null && this.constraints.blocks(from, to, time);
+    }
+
+    /**
+     * A search state: where Naruto is, when, and what it cost to get there
+     */
+    createState(node, time, g, parent, endNode) {
+        const h = this.estimate(node, endNode);
+        return { node, time, g, h, f: g + h, parent };
+    }
+
+    /**
+     * Push or relax event for a state, shown on its cell
+     * Waiting keeps the cell's parent arrow - a cell never points at itself
+     */
+    stateEvent(type, state) {
+        const node = state.node;
+        node.g = state.g;
+        node.h = state.h;
+        node.f = state.f;
+        if (state.parent && state.parent.node !== node) {
+            node.parent = state.parent.node;
+        }
+        return { ...this.frontierEvent(type, node), time: state.time };
+    }
+
+    /**
+     * Cells from Naruto to a state, one per time step
+     */
+    traceStates(state) {
+        const path = [];
+        for (let step = state; step; step = step.parent) {
+            path.unshift(step.node);
+        }
+        return path;
+    }
+
+    /**
+     * The timed path - parents alone cannot say where Naruto waited
+     */
+    reconstructPath(endNode) {
+        return this.timedPath ? this.timedPath.slice() : super.reconstructPath(endNode);
+    }
+
+    /**
+     * Count each cell once in nodesExplored, however many times it is expanded
+     */
+    visitNode(node, animate) {
+        if (this.isEndpoint(node) || this.exploredNodes.has(node)) return;
+
+        this.exploredNodes.add(node);
+        super.visitNode(node, animate);
+    }
+
+    /**
+     * Result plus the time steps spent waiting and the states expanded
+     */
+    buildResult(endTime) {
+        let waits = 0;
+        for (let i = 1; i < this.path.length; i++) {
+            if (this.path[i] === this.path[i - 1]) waits++;
+        }
+        return {
+            ...super.buildResult(endTime),
+            waits,
+            arrivalTime: this.departureTime + this.path.length - 1,
+            statesExpanded: this.statesExpanded
+        };
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.period = 1;
+        this.statesExpanded = 0;
+        this.exploredNodes = new Set();
+        this.timedPath = null;
+        this.gaveUp = false;
+        this.goalPatrolled = false;
+        super.reset();
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            period: this.period,
+            statesExpanded: this.statesExpanded,
+            gaveUp: this.gaveUp,
+            goalPatrolled: this.goalPatrolled
+        };
+    }
+}
@@ -0,0 +1,367 @@
+/**
+ * Squad Planner - Several ninjas, each with their own goal, moving at the same time without running into each other
+ * Like Team 7 splitting up: everyone takes their own route, and nobody ends up on the same branch at once
+ *
+ * Naruto (start to Madara) is ninja 1, the squad ninjas on the grid (Grid.squad) are 2, 3, ... Every ninja
+ * is planned with Space-Time A*, one cell per time step, and stays on its goal once it gets there.
+ * Two ninjas conflict on the same cell at the same step (vertex) or when they walk past each other (swap).
+ * - Prioritized planning plans the ninjas in number order, each around the routes of the ones before.
+ *   Quick, but a ninja can be boxed in by earlier ones even when a plan for everyone exists.
+ * - Conflict-Based Search plans everyone alone, then settles the first conflict by trying both ways
+ *   to forbid it (one ninja or the other keeps off) and keeps the cheapest set of routes - optimal in
+ *   the sum of costs.
+ * Planning works on a copy of the grid; playback then walks all ninjas together, one time step per frame.
+ */
+class SquadPlanner {
+    /**
+     * @param {Grid} grid - The battlefield with Naruto, Madara and the squad ninjas
+     * @param {function(Grid, ConstraintTable): SpaceTimeAStar} createFinder - Makes the search for one ninja
+     * @param {object} options - Planning options
+     * @param {string} options.strategy - 'prioritized' or 'cbs' (see SquadPlanner.STRATEGIES)
+     * @param {number} options.splitLimit - Conflicts Conflict-Based Search may split on before giving up
+     */
+    constructor(grid, createFinder, options = {}) {
+        this.grid = grid;
+        this.createFinder = createFinder;
+        this.strategy = SquadPlanner.STRATEGIES[options.strategy] ? options.strategy : 'cbs';
+        this.splitLimit = options.splitLimit || 1000;
+        this.copy = null; // Grid the plans are searched on
+        this.agents = []; // { number, start, goal } of this grid, Naruto first
+        this.routes = []; // One per ninja: { path, cost }, path in cells of this grid, one per time step
+        this.path = []; // Naruto's route
+        this.finder = null; // Latest single-ninja search
+        this.searches = 0; // Single-ninja searches run
+        this.nodesExplored = 0;
+        this.splits = 0; // Conflicts Conflict-Based Search split on
+        this.failedAgent = null; // Ninja number that could not be planned, if any
+        this.patrolledGoal = false; // Whether that ninja's goal lies on an Anbu patrol route
+        this.gaveUp = false;
+        this.time = 0; // Time step shown by the playback
+        this.isRunning = false;
+        this.gate = new RunGate(); // Pause and single-step, one time step at a time
+    }
+
+    /**
+     * Plan every ninja, then walk them all together on the grid
+     * @param {boolean} animate - Whether to play the routes step by step
+     * @param {number} overrideSpeed - Optional speed override in milliseconds
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        if (!animate) return this.solve();
+        if (!this.begin()) return null;
+
+        const speed = overrideSpeed !== null ? overrideSpeed : 50;
+        console.log(`👥 Planning ${this.agents.length} ninjas with ${SquadPlanner.STRATEGIES[this.strategy].name}`);
+
+        if (this.plan()) {
+            this.paintStep(0);
+            await this.gate.wait();
+            const makespan = this.getMakespan();
+            for (let time = 1; time <= makespan && this.isRunning; time++) {
+                this.paintStep(time);
+                await this.gate.delay(speed * 2);
+                await this.gate.wait();
+            }
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * Plan every ninja synchronously and draw all routes at once
+     */
+    solve() {
+        if (!this.begin()) return null;
+
+        if (this.plan()) {
+            for (let time = 0; time <= this.getMakespan(); time++) {
+                this.paintStep(time);
+            }
+        }
+        return this.finish();
+    }
+
+    /**
+     * Prepare a new plan, or return false if one is already going or Naruto/Madara is missing
+     */
+    begin() {
+        if (this.isRunning) return false;
+        if (!this.grid.startNode || !this.grid.endNode) return false;
+
+        this.isRunning = true;
+        this.startTime = performance.now();
+        this.copy = this.grid.clone();
+        this.agents = [
+            { number: 1, start: this.grid.startNode, goal: this.grid.endNode },
+            ...this.grid.squad.map((ninja, index) => ({ number: index + 2, start: ninja.start, goal: ninja.goal }))
+        ];
+        this.routes = [];
+        this.path = [];
+        this.searches = 0;
+        this.nodesExplored = 0;
+        this.splits = 0;
+        this.failedAgent = null;
+        this.patrolledGoal = false;
+        this.gaveUp = false;
+        this.time = 0;
+        this.grid.clearRouteLegs();
+        return true;
+    }
+
+    /**
+     * Plan the routes with the chosen strategy
+     * @returns {boolean} true if every ninja has a conflict-free route
+     */
+    plan() {
+        const routes = this.strategy === 'prioritized' ? this.planPrioritized() : this.planConflictBased();
+        if (!routes) return false;
+
+        const toGrid = node => this.grid.getNode(node.row, node.col);
+        this.routes = routes.map(route => ({ path: route.path.map(toGrid), cost: route.cost }));
+        this.path = this.routes[0].path;
+        return true;
+    }
+
+    /**
+     * Plan the ninjas in order, each keeping off the routes of those before it
+     */
+    planPrioritized() {
+        const reserved = new ConstraintTable();
+        const routes = [];
+        for (let index = 0; index < this.agents.length; index++) {
+            const route = this.planAgent(index, reserved);
+            if (!route) {
+                this.failedAgent = this.agents[index].number;
+                return null;
+            }
+            reserved.reservePath(route.path);
+            routes.push(route);
+        }
+        return routes;
+    }
+
+    /**
+     * Conflict-Based Search: plan alone, then split on conflicts, cheapest set of routes first
+     */
+    planConflictBased() {
+        const root = { constraints: this.agents.map(() => []), routes: [], cost: 0 };
+        for (let index = 0; index < this.agents.length; index++) {
+            const route = this.planAgent(index, this.buildTable([]));
+            if (!route) {
+                this.failedAgent = this.agents[index].number;
+                return null;
+            }
+            root.routes.push(route);
+        }
+        root.cost = this.sumOfCosts(root.routes);
+
+        const open = new PriorityQueue((a, b) => a.cost - b.cost);
+        open.push(root);
+        while (!open.isEmpty()) {
+            const node = open.pop();
+            const conflict = this.findConflict(node.routes.map(route => route.path));
+            if (!conflict) return node.routes;
+
+            if (this.splits >= this.splitLimit) {
+                this.gaveUp = true;
+                return null;
+            }
+            this.splits++;
+
+            // One branch keeps each ninja of the conflict away
+            conflict.agents.forEach((agent, side) => {
+                const constraints = node.constraints.slice();
+                constraints[agent] = [...constraints[agent], conflict.constraints[side]];
+                const route = this.planAgent(agent, this.buildTable(constraints[agent]));
+                if (!route) return;
+
+                const routes = node.routes.slice();
+                routes[agent] = route;
+                open.push({ constraints, routes, cost: this.sumOfCosts(routes) });
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Search one ninja's route on the copy of the grid
+     * @returns {object|null} { path, cost } in cells of the copy, or null if there is none
+     */
+    planAgent(index, constraints) {
+        const agent = this.agents[index];
+        this.finder = this.createFinder(this.copy, constraints);
+        this.finder.setEndpoints(this.copy.getNode(agent.start.row, agent.start.col), this.copy.getNode(agent.goal.row, agent.goal.col));
+        const result = this.finder.solve();
+        this.searches++;
+        if (!result) {
+            this.patrolledGoal = this.finder.goalPatrolled;
+            return null;
+        }
+
+        this.nodesExplored += result.nodesExplored;
+        return { path: result.path, cost: result.pathCost };
+    }
+
+    /**
+     * First conflict between routes, earliest time step first
+     * A ninja that arrived stays on its goal. Each side of the conflict comes with the constraint that keeps
+     * that ninja out of it: { node, time } for a vertex conflict, { from, to, time } for a swap.
+     * @param {Node[][]} paths - One cell per time step for every ninja
+     * @returns {object|null} { type: 'vertex' | 'swap', agents: [i, j], time, node?, constraints: [forI, forJ] }
+     */
+    findConflict(paths) {
+        const at = (path, time) => path[Math.min(time, path.length - 1)];
+        const makespan = paths.reduce((latest, path) => Math.max(latest, path.length - 1), 0);
+
+        for (let time = 1; time <= makespan; time++) {
+            for (let i = 0; i < paths.length; i++) {
+                for (let j = i + 1; j < paths.length; j++) {
+                    const node = at(paths[i], time);
+                    if (node === at(paths[j], time)) {
+                        return { type: 'vertex', agents: [i, j], time, node, constraints: [{ node, time }, { node, time }] };
+                    }
+
+                    const from = at(paths[i], time - 1);
+                    if (from !== node && from === at(paths[j], time) && node === at(paths[j], time - 1)) {
+                        return {
+                            type: 'swap',
+                            agents: [i, j],
+                            time,
+                            constraints: [{ from, to: node, time }, { from: node, to: from, time }]
+                        };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Constraint table from a list of { node, time } and { from, to, time } constraints
+     */
+    buildTable(constraints) {
+        const table = new ConstraintTable();
+        constraints.forEach(constraint => {
+            if (constraint.node) {
+                table.blockCell(constraint.node, constraint.time);
+            } else {
+                table.blockMove(constraint.from, constraint.to, constraint.time);
+            }
+        });
+        return table;
+    }
+
+    /**
+     * Total cost of every ninja's route
+     */
+    sumOfCosts(routes = this.routes) {
+        return Math.round(routes.reduce((total, route) => total + route.cost, 0) * 100) / 100;
+    }
+
+    /**
+     * Time step the last ninja arrives at
+     */
+    getMakespan(routes = this.routes) {
+        return routes.reduce((latest, route) => Math.max(latest, route.path.length - 1), 0);
+    }
+
+    /**
+     * Draw every ninja's route up to a time step, each in its own color (Node.routeLeg is the ninja index)
+     */
+    paintStep(time) {
+        this.time = time;
+        this.grid.setPatrolTime(time);
+        this.routes.forEach((route, index) => {
+            const node = route.path[Math.min(time, route.path.length - 1)];
+            if (!node.isLandmark()) {
+                node.routeLeg = index;
+                node.updateVisualState();
+            }
+        });
+    }
+
+    /**
+     * Wrap up the plan, or return null if it failed or was stopped
+     */
+    finish() {
+        const endTime = performance.now();
+        const stopped = !this.isRunning;
+        this.isRunning = false;
+        this.gate.resume();
+
+        if (stopped || this.routes.length === 0) {
+            return null;
+        }
+
+        return {
+            path: this.path,
+            visitedNodes: this.nodesExplored,
+            pathLength: this.path.length,
+            pathCost: this.sumOfCosts(),
+            nodesExplored: this.nodesExplored,
+            timeTaken: Math.round(endTime - this.startTime),
+            squad: {
+                strategy: this.strategy,
+                sumOfCosts: this.sumOfCosts(),
+                makespan: this.getMakespan(),
+                routes: this.routes.map((route, index) => ({
+                    number: this.agents[index].number,
+                    cost: route.cost,
+                    arrival: route.path.length - 1
+                })),
+                searches: this.searches,
+                splits: this.splits
+            }
+        };
+    }
+
+    /**
+     * Whether the playback is held by pause()
+     */
+    get isPaused() {
+        return this.gate.isPaused;
+    }
+
+    /**
+     * Pause after the current time step; can be called before findPath() to start paused
+     */
+    pause() {
+        this.gate.pause();
+    }
+
+    /**
+     * Resume a paused playback
+     */
+    resume() {
+        this.gate.resume();
+    }
+
+    /**
+     * Play exactly one time step, then stay paused
+     */
+    step() {
+        this.gate.step();
+    }
+
+    /**
+     * Stop the playback after the current time step
+     */
+    stop() {
+        this.isRunning = false;
+        this.gate.resume();
+    }
+}
+
+/**
+ * Planning strategies offered in the squad controls
+ */
+SquadPlanner.STRATEGIES = {
+    prioritized: {
+        name: 'Prioritized Planning',
+        description: 'Ninjas plan one after another in number order, each around the routes before it - fast, may box someone in'
+    },
+    cbs: {
+        name: 'Conflict-Based Search',
+        description: 'Plans everyone alone, then splits on each collision - lowest sum of costs, slower with many ninjas'
+    }
+};
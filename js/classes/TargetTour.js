@@ -0,0 +1,302 @@
+/**
+ * Target Tour - Naruto has to defeat every Madara clone (and Madara himself), in any order
+ * Shadow Clone hunting: every clone goes down, the only question is which one first
+ *
+ * The cost between every pair of stops comes from the chosen search, run on a copy of the map.
+ * Picking the order is an open traveling-salesman problem (start at Naruto, end at the last clone):
+ * solved exactly with Held-Karp dynamic programming for small counts, and by nearest-first
+ * improved with 2-opt and relocation moves beyond that. The tour is then played leg by leg.
+ * Animated runs give the page a frame after every one of those searches, report how far they got, and
+ * hold there while paused - stepping lets one more search through.
+ */
+class TargetTour extends WaypointMission {
+    /**
+     * @param {Grid} grid - The battlefield, with its clones
+     * @param {function(Grid): Pathfinder} createFinder - Makes a fresh pathfinder on the given grid
+     * @param {object} options - { exactLimit } - most targets ordered exactly (Held-Karp is O(2^n · n²))
+     */
+    constructor(grid, createFinder, options = {}) {
+        super(grid, createFinder);
+        this.exactLimit = options.exactLimit || 10;
+        this.plan = null; // { order, cost, exact, nearestFirst: { order, cost }, searches, nodesExplored }
+        this.unreachable = null; // Target Naruto cannot get to, if any
+        this.costMatrix = null; // Costs findPath() already searched, for begin() to plan with
+        this.planProgress = null; // { searches, total } while findPath() searches the costs, else null
+        this.onPlanProgress = null; // Optional callback(searchesDone, searchesTotal) while findPath() searches the costs
+    }
+
+    /**
+     * Everyone Naruto has to defeat: the clones, then Madara
+     */
+    getTargets() {
+        return [...this.grid.targets, this.grid.endNode];
+    }
+
+    /**
+     * Every stop of the tour before it is ordered: Naruto, then the targets
+     */
+    getTourStops() {
+        return [this.grid.startNode, ...this.getTargets()];
+    }
+
+    /**
+     * Search the costs between the stops, yielding after every search so the page stays responsive
+     * (and holding while paused), then play the tour leg by leg
+     * @param {boolean} animate - Whether to show animation
+     * @param {number} overrideSpeed - Optional speed override in milliseconds
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        if (!animate) return this.solve();
+        if (this.isRunning) return null;
+        if (!this.grid.startNode || !this.grid.endNode) return null;
+
+        this.isRunning = true;
+        const searches = this.costSearches(this.getTourStops());
+        let step = searches.next();
+        while (!step.done && this.isRunning) {
+            this.planProgress = step.value;
+            if (this.onPlanProgress) {
+                this.onPlanProgress(step.value.searches, step.value.total);
+            }
+            await this.gate.delay(0);
+            await this.gate.wait();
+            step = searches.next();
+        }
+        this.planProgress = null;
+
+        // Stopped while still searching the costs
+        if (!this.isRunning) {
+            this.gate.resume();
+            return null;
+        }
+
+        this.isRunning = false;
+        this.costMatrix = step.value;
+        return super.findPath(true, overrideSpeed);
+    }
+
+    /**
+     * Plan the visiting order, then prepare the run through it
+     */
+    begin() {
+        if (this.isRunning) return false;
+        if (!this.grid.startNode || !this.grid.endNode) return false;
+
+        this.plan = this.planTour();
+        if (!this.plan) return false;
+
+        this.stops = this.plan.order;
+        return super.begin();
+    }
+
+    /**
+     * Result of the run plus the plan it followed
+     */
+    finish() {
+        const result = super.finish();
+        return result ? { ...result, tour: this.plan } : result;
+    }
+
+    /**
+     * Cheapest order to visit every target, compared with always going to the nearest one next
+     * Uses the costs findPath() searched, else searches them right here
+     * @returns {object|null} The plan, or null if some target cannot be reached
+     */
+    planTour() {
+        const stops = this.getTourStops();
+        const { costs, searches, nodesExplored } = this.costMatrix || this.buildCostMatrix(stops);
+        this.costMatrix = null;
+
+        this.unreachable = stops.find((stop, index) => index > 0 && costs[0][index] === Infinity) || null;
+        if (this.unreachable) return null;
+
+        const nearest = this.orderNearestFirst(costs);
+        const exact = stops.length - 1 <= this.exactLimit;
+        const best = exact ? this.orderExact(costs) : this.improveOrder(costs, nearest);
+        const toNodes = order => [stops[0], ...order.map(index => stops[index])];
+
+        return {
+            order: toNodes(best),
+            cost: this.roundCost(this.tourCost(costs, best)),
+            exact,
+            nearestFirst: {
+                order: toNodes(nearest),
+                cost: this.roundCost(this.tourCost(costs, nearest))
+            },
+            searches,
+            nodesExplored
+        };
+    }
+
+    /**
+     * Search between every ordered pair of stops on a copy of the map (no DOM updates)
+     * Costs are not symmetric - a step costs the weight of the cell it enters
+     * @returns {{ costs: number[][], searches: number, nodesExplored: number }} costs[i][j] from stop i to stop j
+     */
+    buildCostMatrix(stops) {
+        const searches = this.costSearches(stops);
+        let step = searches.next();
+        while (!step.done) {
+            step = searches.next();
+        }
+        return step.value;
+    }
+
+    /**
+     * The searches of buildCostMatrix(), one at a time: yields { searches, total } after each,
+     * and returns the matrix once all are done
+     */
+    *costSearches(stops) {
+        const copy = this.grid.clone();
+        const copyStops = stops.map(stop => copy.getNode(stop.row, stop.col));
+        const costs = stops.map(() => stops.map(() => Infinity));
+        const total = (stops.length - 1) * (stops.length - 1); // Naruto to every target, every target to every other
+        let searches = 0;
+        let nodesExplored = 0;
+
+        for (let i = 0; i < stops.length; i++) {
+            costs[i][i] = 0;
+            // Nobody walks back to Naruto, the tour only starts there
+            for (let j = 1; j < stops.length; j++) {
+                if (i === j) continue;
+
+                const finder = this.createFinder(copy);
+                finder.setEndpoints(copyStops[i], copyStops[j]);
+                const result = finder.solve();
+                searches++;
+                nodesExplored += finder.nodesExplored;
+                if (result) {
+                    costs[i][j] = result.pathCost;
+                }
+                yield { searches, total };
+            }
+        }
+
+        return { costs, searches, nodesExplored };
+    }
+
+    /**
+     * Naive order: always go to the cheapest target not yet defeated
+     * @returns {number[]} Stop indices, Naruto (0) left out
+     */
+    orderNearestFirst(costs) {
+        const remaining = new Set(costs.map((_, index) => index).slice(1));
+        const order = [];
+        let current = 0;
+
+        while (remaining.size > 0) {
+            let next = null;
+            for (const candidate of remaining) {
+                if (next === null || costs[current][candidate] < costs[current][next]) {
+                    next = candidate;
+                }
+            }
+            order.push(next);
+            remaining.delete(next);
+            current = next;
+        }
+        return order;
+    }
+
+    /**
+     * Held-Karp: best[mask][last] = cheapest way to defeat the targets in mask, ending on last
+     * @returns {number[]} Optimal stop indices, Naruto (0) left out
+     */
+    orderExact(costs) {
+        const count = costs.length - 1;
+        const full = (1 << count) - 1;
+        const best = new Float64Array((full + 1) * count).fill(Infinity);
+        const previous = new Int16Array((full + 1) * count).fill(-1);
+
+        for (let k = 0; k < count; k++) {
+            best[(1 << k) * count + k] = costs[0][k + 1];
+        }
+
+        for (let mask = 1; mask <= full; mask++) {
+            for (let last = 0; last < count; last++) {
+                const cost = best[mask * count + last];
+                if (cost === Infinity || !(mask & (1 << last))) continue;
+
+                for (let next = 0; next < count; next++) {
+                    if (mask & (1 << next)) continue;
+                    const nextMask = mask | (1 << next);
+                    const candidate = cost + costs[last + 1][next + 1];
+                    if (candidate < best[nextMask * count + next]) {
+                        best[nextMask * count + next] = candidate;
+                        previous[nextMask * count + next] = last;
+                    }
+                }
+            }
+        }
+
+        // Cheapest finish, then walk the choices back
+        let last = 0;
+        for (let k = 1; k < count; k++) {
+            if (best[full * count + k] < best[full * count + last]) last = k;
+        }
+
+        const order = [];
+        let mask = full;
+        while (last !== -1) {
+            order.unshift(last + 1);
+            const before = previous[mask * count + last];
+            mask &= ~(1 << last);
+            last = before;
+        }
+        return order;
+    }
+
+    /**
+     * Local search from a starting order: reverse a stretch (2-opt) or move one target elsewhere,
+     * keeping any change that makes the tour cheaper, until nothing helps
+     * @returns {number[]} An order never worse than the one given
+     */
+    improveOrder(costs, order) {
+        let bestOrder = order.slice();
+        let bestCost = this.tourCost(costs, bestOrder);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < bestOrder.length - 1; i++) {
+                for (let j = i + 1; j < bestOrder.length; j++) {
+                    const reversed = [...bestOrder.slice(0, i), ...bestOrder.slice(i, j + 1).reverse(), ...bestOrder.slice(j + 1)];
+                    const movedLater = bestOrder.slice();
+                    movedLater.splice(j, 0, movedLater.splice(i, 1)[0]);
+                    const movedEarlier = bestOrder.slice();
+                    movedEarlier.splice(i, 0, movedEarlier.splice(j, 1)[0]);
+
+                    for (const candidate of [reversed, movedLater, movedEarlier]) {
+                        const cost = this.tourCost(costs, candidate);
+                        if (cost < bestCost - 1e-9) {
+                            bestOrder = candidate;
+                            bestCost = cost;
+                            improved = true;
+                        }
+                    }
+                }
+            }
+        }
+        return bestOrder;
+    }
+
+    /**
+     * Total cost of visiting the stops in this order, starting from Naruto
+     */
+    tourCost(costs, order) {
+        let cost = 0;
+        let current = 0;
+        order.forEach(next => {
+            cost += costs[current][next];
+            current = next;
+        });
+        return cost;
+    }
+
+    /**
+     * Round like path costs
+     */
+    roundCost(cost) {
+        return Math.round(cost * 100) / 100;
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Theta* Pathfinding Algorithm
+ * Naruto stops walking the staircase - if he can see a node's grandparent, he runs straight at it
+ *
+ * A* on 8-way moves where a neighbor may take its parent's parent as its own parent whenever the
+ * two can see each other, so parents (and the final path) bend at any angle.
+ * The search measures straight-line distances - terrain and weights are ignored, walls only block sight.
+ * The reported pathCost prices the any-angle route itself (PathSmoother.lineCost, weights included), not the
+ * cells walked along it, which only step diagonally where a line passes exactly through a corner.
+ */
+class ThetaStar extends AStar {
+    constructor(grid, options = {}) {
+        super(grid, options);
+        this.name = 'Theta*';
+        // Diagonal neighbors, and no slipping between two walls - same rule as the line-of-sight check
+        this.movement = { diagonal: true, cornerCutting: 'never' };
+        // Octile and Manhattan overestimate any-angle distances
+        this.heuristic = options.heuristic === 'zero' ? 'zero' : 'euclidean';
+        this.waypoints = []; // Corners of the any-angle path, start and end included
+        this.lineOfSightChecks = 0;
+    }
+
+    /**
+     * A* with a line-of-sight shortcut through the current node's parent
+     */
+    *search(startNode, endNode) {
+        startNode.g = 0;
+        this.computeScores(startNode, endNode);
+        this.openSet.push(startNode);
+        yield this.frontierEvent('push', startNode);
+
+        while (!this.openSet.isEmpty()) {
+            const currentNode = this.openSet.pop();
+
+            if (currentNode === endNode) {
+                // Parents skip cells, so send the walkable cell path along for the timeline
+                yield { type: 'found', node: currentNode, path: this.reconstructPath(currentNode) };
+                return;
+            }
+
+            this.closedSet.add(currentNode);
+            yield { type: 'expand', node: currentNode };
+
+            for (const neighbor of this.getNeighbors(currentNode)) {
+                if (this.closedSet.has(neighbor) || neighbor.isWall) {
+                    continue;
+                }
+
+                // Path 2: straight from the grandparent if nothing blocks the view, else path 1 via currentNode
+                const origin = this.getLineOrigin(currentNode, neighbor);
+                const tentativeG = origin.g + PathSmoother.distance(origin, neighbor);
+
+                if (tentativeG < neighbor.g) {
+                    neighbor.parent = origin;
+                    neighbor.g = tentativeG;
+                    this.computeScores(neighbor, endNode);
+
+                    if (this.openSet.has(neighbor)) {
+                        this.openSet.update(neighbor);
+                        yield this.frontierEvent('relax', neighbor);
+                    } else {
+                        this.openSet.push(neighbor);
+                        yield this.frontierEvent('push', neighbor);
+                    }
+                }
+            }
+        }
+
+        yield { type: 'exhausted' };
+    }
+
+    /**
+     * Node a neighbor should hang off: the current node's parent when it is in sight, else the current node
+     */
+    getLineOrigin(currentNode, neighbor) {
+        const grandparent = currentNode.parent;
+        if (!grandparent) return currentNode;
+
+        this.lineOfSightChecks++;
+        return PathSmoother.hasLineOfSight(this.grid, grandparent, neighbor) ? grandparent : currentNode;
+    }
+
+    /**
+     * Follow the any-angle parents, keep them as waypoints, and return every cell walked between them
+     */
+    reconstructPath(endNode) {
+        this.waypoints = super.reconstructPath(endNode);
+        return PathSmoother.expand(this.grid, this.waypoints);
+    }
+
+    /**
+     * Cost of the any-angle route: every straight stretch between two waypoints, weights included
+     */
+    calculateWaypointCost(waypoints) {
+        let cost = 0;
+        for (let i = 1; i < waypoints.length; i++) {
+            cost += PathSmoother.lineCost(this.grid, waypoints[i - 1], waypoints[i]);
+        }
+        return Math.round(cost * 100) / 100;
+    }
+
+    /**
+     * Result plus the any-angle waypoints and their true length, priced along the waypoints
+     */
+    buildResult(endTime) {
+        return {
+            ...super.buildResult(endTime),
+            pathCost: this.calculateWaypointCost(this.waypoints),
+            waypoints: this.waypoints,
+            euclideanLength: PathSmoother.euclideanLength(this.waypoints)
+        };
+    }
+
+    /**
+     * Reset the algorithm state
+     */
+    reset() {
+        this.waypoints = [];
+        this.lineOfSightChecks = 0;
+        super.reset();
+    }
+
+    /**
+     * Get algorithm statistics
+     */
+    getStats() {
+        return {
+            ...super.getStats(),
+            lineOfSightChecks: this.lineOfSightChecks
+        };
+    }
+}
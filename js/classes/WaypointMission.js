@@ -0,0 +1,210 @@
+/**
+ * Waypoint Mission - Naruto has to reach every waypoint, in order, before facing Madara
+ * Like a Chunin Exam course: reach Sakura, then Kakashi, and only then the final battle
+ *
+ * Each leg (Naruto -> waypoint 1 -> waypoint 2 -> ... -> Madara) is an ordinary search with the
+ * chosen algorithm, run on its own between two stops. Finished legs stay on the grid in their own
+ * color (Node.routeLeg) while the next leg searches.
+ */
+class WaypointMission {
+    /**
+     * @param {Grid} grid - The battlefield, with its waypoints
+     * @param {function(Grid): Pathfinder} createFinder - Makes a fresh pathfinder on the given grid for every leg
+     * @param {Node[]|null} stops - Stops to visit in this order, null for Naruto, the waypoints, then Madara
+     */
+    constructor(grid, createFinder, stops = null) {
+        this.grid = grid;
+        this.createFinder = createFinder;
+        this.stops = stops;
+        this.finder = null; // Pathfinder of the leg being searched
+        this.legs = []; // One entry per finished leg: { from, to, path, waypoints, pathCost, pathLength, nodesExplored }
+        this.path = []; // Every leg joined into one route
+        this.failedLeg = null; // Index of the leg that found no path
+        this.isRunning = false;
+        this.gate = new RunGate(); // Pause and single-step for work between the legs (a tour's cost searches)
+        this.onLeg = null; // Optional callback(finder, index) when a leg starts
+    }
+
+    /**
+     * Every stop of the mission in visiting order: Naruto, the waypoints, Madara (unless given)
+     */
+    getStops() {
+        return this.stops || [this.grid.startNode, ...this.grid.waypoints, this.grid.endNode];
+    }
+
+    /**
+     * Name a leg by its two stops, e.g. "waypoint 1 → waypoint 2"
+     */
+    describeLeg(index) {
+        const stops = this.getStops();
+        return `${stops[index].getLabel()} → ${stops[index + 1].getLabel()}`;
+    }
+
+    /**
+     * Search every leg in turn, animated like a single run
+     * @param {boolean} animate - Whether to show animation
+     * @param {number} overrideSpeed - Optional speed override in milliseconds
+     */
+    async findPath(animate = true, overrideSpeed = null) {
+        if (!animate) return this.solve();
+        if (!this.begin()) return null;
+
+        const stops = this.getStops();
+        for (let i = 0; i < stops.length - 1 && this.isRunning; i++) {
+            const finder = this.startLeg(i, stops[i], stops[i + 1]);
+            const result = await finder.findPath(true, overrideSpeed);
+            if (!this.finishLeg(i, result)) break;
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * Search every leg synchronously, without touching the DOM
+     */
+    solve() {
+        if (!this.begin()) return null;
+
+        const stops = this.getStops();
+        for (let i = 0; i < stops.length - 1; i++) {
+            const finder = this.startLeg(i, stops[i], stops[i + 1]);
+            if (!this.finishLeg(i, finder.solve())) break;
+        }
+
+        return this.finish();
+    }
+
+    /**
+     * Prepare a new mission, or return false if one is already going or a stop (e.g. Madara) is missing
+     */
+    begin() {
+        if (this.isRunning) return false;
+        if (this.getStops().some(stop => !stop)) return false;
+
+        this.isRunning = true;
+        this.startTime = performance.now();
+        this.legs = [];
+        this.path = [];
+        this.failedLeg = null;
+        this.grid.clearRouteLegs();
+        return true;
+    }
+
+    /**
+     * Create the pathfinder for one leg, paused if the mission is
+     * The leg sets off when the previous one arrived, so patrolling guards are where they will be by then
+     */
+    startLeg(index, from, to) {
+        const finder = this.createFinder(this.grid);
+        finder.setEndpoints(from, to);
+        finder.departureTime = this.legs.reduce((time, leg) => time + leg.pathLength - 1, 0);
+        if (this.gate.isPaused) {
+            finder.pause();
+        }
+
+        this.finder = finder;
+        if (this.onLeg) {
+            this.onLeg(finder, index);
+        }
+        return finder;
+    }
+
+    /**
+     * Keep a finished leg's route on the grid in its color
+     * @returns {boolean} true if the leg found a path and the mission goes on
+     */
+    finishLeg(index, result) {
+        if (!result || !this.isRunning) {
+            this.failedLeg = result ? null : index;
+            return false;
+        }
+
+        result.path.forEach(node => {
+            node.isPath = false;
+            node.routeLeg = index;
+        });
+        this.legs.push({
+            from: result.path[0],
+            to: result.path[result.path.length - 1],
+            path: result.path,
+            waypoints: result.waypoints || null, // Any-angle corners (Theta*)
+            pathCost: result.pathCost,
+            pathLength: result.path.length,
+            nodesExplored: result.nodesExplored
+        });
+        return true;
+    }
+
+    /**
+     * Join the legs into one result, or null if a leg failed or the mission was stopped
+     */
+    finish() {
+        const endTime = performance.now();
+        const completed = this.isRunning && this.failedLeg === null;
+        this.isRunning = false;
+        this.gate.resume();
+
+        if (!completed) return null;
+
+        // Legs share their end stops - keep each joint once
+        this.path = this.legs.reduce((route, leg) => route.concat(route.length > 0 ? leg.path.slice(1) : leg.path), []);
+        const pathCost = this.legs.reduce((sum, leg) => sum + leg.pathCost, 0);
+        const nodesExplored = this.legs.reduce((sum, leg) => sum + leg.nodesExplored, 0);
+
+        return {
+            path: this.path,
+            legs: this.legs,
+            visitedNodes: nodesExplored,
+            pathLength: this.path.length,
+            pathCost: Math.round(pathCost * 100) / 100,
+            euclideanLength: PathSmoother.euclideanLength(this.path),
+            nodesExplored,
+            timeTaken: Math.round(endTime - this.startTime)
+        };
+    }
+
+    /**
+     * Whether the mission is held by pause()
+     */
+    get isPaused() {
+        return this.gate.isPaused;
+    }
+
+    /**
+     * Pause the current leg; later legs start paused until resume()
+     */
+    pause() {
+        this.gate.pause();
+        if (this.finder) this.finder.pause();
+    }
+
+    /**
+     * Resume the current leg
+     */
+    resume() {
+        this.gate.resume();
+        if (this.finder) this.finder.resume();
+    }
+
+    /**
+     * Advance the current leg by one expansion (before the first leg, one step of the work waiting on the gate),
+     * then stay paused
+     */
+    step() {
+        if (this.finder) {
+            this.gate.pause();
+            this.finder.step();
+        } else {
+            this.gate.step();
+        }
+    }
+
+    /**
+     * Stop the mission after the current leg's search stops
+     */
+    stop() {
+        this.isRunning = false;
+        this.gate.resume();
+        if (this.finder) this.finder.stop();
+    }
+}
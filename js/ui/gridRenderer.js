@@ -5,13 +5,51 @@
  */
 
 const GridRenderer = {
+    /**
+     * Overlays drawn on top of the cells
+     */
+    overlays: {
+        scores: false, // g/h/f printed inside every discovered cell
+        arrows: false  // Arrow pointing at each node's parent
+    },
+
+    /**
+     * Heatmap mode for explored cells: null (off), 'order', 'g' or 'f'
+     */
+    heatmap: null,
+
+    /**
+     * Lowest and highest heat value seen so far, grows as the search explores
+     */
+    heatRange: { min: Infinity, max: -Infinity },
+
+    /**
+     * Waypoints of the path drawn as a polyline over the grid (empty when nothing is drawn)
+     */
+    polyline: [],
+
     /**
      * Initialize the renderer
      */
     init(grid) {
+        this.attach(grid);
+        this.setupEventListeners();
+    },
+
+    /**
+     * Point the renderer at a grid and start drawing overlays
+     * Does not add input listeners - Grid.render() already handles mouse and touch
+     */
+    attach(grid) {
         this.grid = grid;
         this.gridElement = document.getElementById('game-grid');
-        this.setupEventListeners();
+        Node.decorator = node => this.decorateNode(node);
+
+        // Cells move when the window resizes, so the polyline has to follow them
+        if (!this.resizeListener) {
+            this.resizeListener = () => this.renderPolyline();
+            window.addEventListener('resize', this.resizeListener);
+        }
     },
 
     /**
@@ -220,6 +258,256 @@ const GridRenderer = {
     updateGridSize(rows, cols) {
         this.gridElement.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
         this.gridElement.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+    },
+
+    /**
+     * Turn an overlay on or off and redraw the grid
+     * @param {string} name - 'scores' or 'arrows'
+     * @param {boolean} enabled
+     */
+    setOverlay(name, enabled) {
+        this.overlays[name] = enabled;
+        this.refresh();
+    },
+
+    /**
+     * Color explored cells by expansion order, g or f instead of the flat explored color
+     * @param {string|null} mode - 'order', 'g', 'f', or null to turn the heatmap off
+     */
+    setHeatmap(mode) {
+        this.heatmap = ['order', 'g', 'f'].includes(mode) ? mode : null;
+
+        const legend = document.getElementById('heatmap-legend');
+        if (legend) legend.hidden = !this.heatmap;
+
+        this.refresh();
+    },
+
+    /**
+     * Forget the heat range, e.g. before a new search starts
+     */
+    resetHeatRange() {
+        this.heatRange = { min: Infinity, max: -Infinity };
+        this.updateHeatLegend();
+    },
+
+    /**
+     * Redraw every cell (and its overlays), rebuilding the heat range from the explored cells
+     */
+    refresh() {
+        if (!this.grid) return;
+
+        this.resetHeatRange();
+        if (this.heatmap) {
+            this.forEachNode(node => {
+                if (node.isVisited) this.extendHeatRange(this.getHeatValue(node));
+            });
+        }
+
+        this.forEachNode(node => node.updateVisualState());
+    },
+
+    /**
+     * Run a callback for every node of the attached grid
+     */
+    forEachNode(callback) {
+        for (let row = 0; row < this.grid.rows; row++) {
+            for (let col = 0; col < this.grid.cols; col++) {
+                callback(this.grid.nodes[row][col]);
+            }
+        }
+    },
+
+    /**
+     * Heat value of a node under the current heatmap mode
+     */
+    getHeatValue(node) {
+        if (this.heatmap === 'order') return node.closedAt;
+        return this.heatmap === 'g' ? node.g : node.f;
+    },
+
+    /**
+     * Widen the heat range to include a value
+     * @returns {boolean} true if the range changed
+     */
+    extendHeatRange(value) {
+        if (typeof value !== 'number' || !isFinite(value)) return false;
+        if (value >= this.heatRange.min && value <= this.heatRange.max) return false;
+
+        this.heatRange.min = Math.min(this.heatRange.min, value);
+        this.heatRange.max = Math.max(this.heatRange.max, value);
+        this.updateHeatLegend();
+        return true;
+    },
+
+    /**
+     * Continuous blue (low) to red (high) gradient, matching .heat-scale in the legend
+     */
+    getHeatColor(value) {
+        const { min, max } = this.heatRange;
+        const t = max > min ? (value - min) / (max - min) : 0;
+        return `hsl(${Math.round(240 * (1 - t))}, 85%, 50%)`;
+    },
+
+    /**
+     * Color one cell by its heat value, or clear the color if it should not be heated
+     */
+    paintHeat(node) {
+        const isHeated = this.heatmap && node.isVisited && !node.isPath && !node.isCurrent;
+        if (!isHeated) {
+            if (node.element.classList.contains('heat-node')) {
+                node.element.classList.remove('heat-node');
+                node.element.style.backgroundColor = '';
+            }
+            return;
+        }
+
+        // A new extreme shifts the scale, so every heated cell needs a new color
+        if (this.extendHeatRange(this.getHeatValue(node))) {
+            this.recolorHeat();
+        }
+        node.element.classList.add('heat-node');
+        node.element.style.backgroundColor = this.getHeatColor(this.getHeatValue(node));
+    },
+
+    /**
+     * Recolor every heated cell after the heat range changed
+     */
+    recolorHeat() {
+        this.forEachNode(node => {
+            if (node.element && node.element.classList.contains('heat-node')) {
+                node.element.style.backgroundColor = this.getHeatColor(this.getHeatValue(node));
+            }
+        });
+    },
+
+    /**
+     * Show the heat range at both ends of the color scale legend
+     */
+    updateHeatLegend() {
+        const minEl = document.getElementById('heat-min');
+        const maxEl = document.getElementById('heat-max');
+        const hasRange = this.heatRange.max >= this.heatRange.min;
+
+        if (minEl) minEl.textContent = hasRange ? this.formatScore(this.heatRange.min) : '-';
+        if (maxEl) maxEl.textContent = hasRange ? this.formatScore(this.heatRange.max) : '-';
+    },
+
+    /**
+     * Draw a path as straight segments between cell centers on top of #game-grid
+     * @param {Node[]} points - Waypoints in order; fewer than two clears the overlay
+     */
+    drawPolyline(points) {
+        this.polyline = points.slice();
+        this.renderPolyline();
+        this.setPolylineVisible(true);
+    },
+
+    /**
+     * Remove the path polyline
+     */
+    clearPolyline() {
+        this.drawPolyline([]);
+    },
+
+    /**
+     * Hide or show the polyline without forgetting it, e.g. while the timeline shows an earlier step
+     */
+    setPolylineVisible(visible) {
+        const svg = document.getElementById('path-polyline');
+        if (svg) svg.hidden = !visible;
+    },
+
+    /**
+     * Rebuild the polyline SVG from the current cell positions
+     */
+    renderPolyline() {
+        const svg = document.getElementById('path-polyline');
+        if (!svg) return;
+
+        const points = this.polyline.filter(node => node.element);
+        if (points.length < 2) {
+            svg.innerHTML = '';
+            return;
+        }
+
+        // The SVG covers the grid container, so positions are measured from its corner
+        const box = svg.getBoundingClientRect();
+        const centers = points.map(node => {
+            const rect = node.element.getBoundingClientRect();
+            return {
+                x: Math.round(rect.left + rect.width / 2 - box.left),
+                y: Math.round(rect.top + rect.height / 2 - box.top)
+            };
+        });
+
+        const line = `<polyline points="${centers.map(({ x, y }) => `${x},${y}`).join(' ')}"></polyline>`;
+        const joints = centers.slice(1, -1).map(({ x, y }) => `<circle cx="${x}" cy="${y}" r="4"></circle>`).join('');
+        svg.innerHTML = line + joints;
+    },
+
+    /**
+     * Draw the heatmap and the enabled overlays on one cell - runs after every Node.updateVisualState()
+     */
+    decorateNode(node) {
+        // Only the attached grid gets overlays - comparison panes stay plain
+        const gridRow = this.grid ? this.grid.nodes[node.row] : null;
+        if (!gridRow || gridRow[node.col] !== node) return;
+
+        this.paintHeat(node);
+
+        const isDiscovered = node.g !== Infinity && !node.isWall;
+        const scores = this.overlays.scores && isDiscovered ? this.formatScores(node) : '';
+        const arrow = this.overlays.arrows && node.parent && !node.isStart ? this.arrowToParent(node) : '';
+
+        this.setOverlayText(node.element, 'score-overlay', scores);
+        this.setOverlayText(node.element, 'parent-arrow', arrow);
+    },
+
+    /**
+     * g, h and f on three short lines
+     */
+    formatScores(node) {
+        return `g ${this.formatScore(node.g)}\nh ${this.formatScore(node.h)}\nf ${this.formatScore(node.f)}`;
+    },
+
+    /**
+     * Whole numbers as-is, anything else to one decimal
+     */
+    formatScore(value) {
+        if (value === Infinity) return '∞';
+        return Number.isInteger(value) ? `${value}` : value.toFixed(1);
+    },
+
+    /**
+     * Arrow from a node toward its parent (works for any-angle parents too)
+     */
+    arrowToParent(node) {
+        const dRow = Math.sign(node.parent.row - node.row);
+        const dCol = Math.sign(node.parent.col - node.col);
+        const arrows = {
+            '-1,-1': '↖', '-1,0': '↑', '-1,1': '↗',
+            '0,-1': '←', '0,1': '→',
+            '1,-1': '↙', '1,0': '↓', '1,1': '↘'
+        };
+        return arrows[`${dRow},${dCol}`] || '';
+    },
+
+    /**
+     * Set the text of an overlay span inside a cell, creating or removing it as needed
+     */
+    setOverlayText(element, className, text) {
+        let span = element.querySelector(`.${className}`);
+        if (!text) {
+            if (span) span.remove();
+            return;
+        }
+        if (!span) {
+            span = document.createElement('span');
+            span.className = className;
+            element.appendChild(span);
+        }
+        span.textContent = text;
     }
 };
 
@@ -0,0 +1,127 @@
+/**
+ * Algorithm Registry
+ * Every search jutsu Naruto can choose from, all sharing the same findPath() contract
+ */
+
+const Algorithms = {
+    /**
+     * Registered algorithms keyed by id
+     * Each entry: { name, description, usesHeuristic, create(grid, options) }
+     */
+    registry: {
+        astar: {
+            name: 'A*',
+            description: 'Cost so far plus heuristic - optimal and focused',
+            usesHeuristic: true,
+            create: (grid, options) => new AStar(grid, options)
+        },
+        dijkstra: {
+            name: 'Dijkstra',
+            description: 'Cost so far only - optimal, explores in every direction',
+            usesHeuristic: false,
+            create: (grid, options) => new Dijkstra(grid, options)
+        },
+        greedy: {
+            name: 'Greedy Best-First',
+            description: 'Heuristic only - fast, not always optimal',
+            usesHeuristic: true,
+            create: (grid, options) => new GreedyBestFirst(grid, options)
+        },
+        bidirectional: {
+            name: 'Bidirectional A*',
+            description: 'A* from both ends at once - optimal, meets in the middle',
+            usesHeuristic: true,
+            create: (grid, options) => new BidirectionalAStar(grid, options)
+        },
+        jps: {
+            name: 'Jump Point Search',
+            description: 'A* that jumps across open ground, 8-way - uniform-cost maps only',
+            usesHeuristic: true,
+            create: (grid, options) => new JumpPointSearch(grid, options)
+        },
+        theta: {
+            name: 'Theta*',
+            description: 'A* with line-of-sight shortcuts - any-angle paths, ignores weights',
+            usesHeuristic: false,
+            create: (grid, options) => new ThetaStar(grid, options)
+        },
+        idastar: {
+            name: 'IDA*',
+            description: 'Depth-first passes under a growing f-bound - optimal, tiny memory, many repeats',
+            usesHeuristic: true,
+            create: (grid, options) => new IDAStar(grid, options)
+        },
+        dstar: {
+            name: 'D* Lite',
+            description: 'Searches back from Madara and repairs the path when walls change - optimal',
+            usesHeuristic: true,
+            create: (grid, options) => new DStarLite(grid, options)
+        },
+        spacetime: {
+            name: 'Space-Time A*',
+            description: 'A* over cell and time - waits or detours around patrolling Anbu guards',
+            usesHeuristic: true,
+            create: (grid, options) => new SpaceTimeAStar(grid, options)
+        },
+        bfs: {
+            name: 'Breadth-First',
+            description: 'Fewest steps, ignores weights',
+            usesHeuristic: false,
+            create: (grid, options) => new BreadthFirst(grid, options)
+        },
+        dfs: {
+            name: 'Depth-First',
+            description: 'Dives deep first - rarely the shortest path',
+            usesHeuristic: false,
+            create: (grid, options) => new DepthFirst(grid, options)
+        }
+    },
+
+    /**
+     * Default algorithm id
+     */
+    defaultId: 'astar',
+
+    /**
+     * Register a new algorithm so it shows up in the selector
+     * @param {string} id - Unique key
+     * @param {object} definition - { name, description, usesHeuristic, create(grid, options) }
+     */
+    register(id, definition) {
+        if (!definition || typeof definition.create !== 'function') {
+            throw new Error(`Algorithm "${id}" must provide a create(grid, options) function`);
+        }
+        this.registry[id] = definition;
+    },
+
+    /**
+     * Get an algorithm definition by id
+     */
+    get(id) {
+        return this.registry[id] || null;
+    },
+
+    /**
+     * List all registered algorithms as { id, name, description, usesHeuristic }
+     */
+    list() {
+        return Object.keys(this.registry).map(id => ({
+            id,
+            name: this.registry[id].name,
+            description: this.registry[id].description,
+            usesHeuristic: !!this.registry[id].usesHeuristic
+        }));
+    },
+
+    /**
+     * Create a pathfinder instance for the given grid
+     * Falls back to the default algorithm for unknown ids
+     * @param {string} id - Algorithm id
+     * @param {Grid} grid - The battlefield to search
+     * @param {object} options - Search options passed to the constructor ({ heuristic, weight })
+     */
+    create(id, grid, options = {}) {
+        const definition = this.get(id) || this.get(this.defaultId);
+        return definition.create(grid, options);
+    }
+};
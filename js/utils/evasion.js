@@ -0,0 +1,90 @@
+/**
+ * Evasion Policies
+ * How Madara moves while Naruto chases him (pursuit mode)
+ * Each policy picks Madara's next cell: move(pursuit, madara, naruto) returns a neighbor, or madara to stay put
+ */
+
+const EvasionPolicies = {
+    /**
+     * Registered policies keyed by id
+     * Each entry: { name, description, prepare?(pursuit), move(pursuit, madara, naruto) }
+     * prepare() runs once when the chase begins; what it returns is kept as pursuit.policyState
+     */
+    registry: {
+        random: {
+            name: 'Random Walk',
+            description: 'Wanders to a random open neighbor - pays Naruto no attention',
+            move: (pursuit, madara, naruto) => {
+                const moves = pursuit.getMoves(madara).filter(node => node !== naruto);
+                return moves.length > 0 ? moves[Math.floor(Math.random() * moves.length)] : madara;
+            }
+        },
+        flee: {
+            name: 'Maximize Distance',
+            description: 'Steps to the cell that costs Naruto the most to reach, away from dead ends',
+            move: (pursuit, madara, naruto) => {
+                const costs = pursuit.costsFrom(naruto);
+                const reach = node => (costs.has(node) ? costs.get(node) : Infinity);
+                const exits = node => pursuit.getMoves(node).length;
+
+                let best = madara;
+                pursuit.getMoves(madara).forEach(node => {
+                    if (node === naruto) return;
+                    // Further from Naruto wins; on a tie, the cell with more ways out
+                    const gain = reach(node) - reach(best);
+                    if (gain > 1e-9 || (Math.abs(gain) <= 1e-9 && exits(node) > exits(best))) {
+                        best = node;
+                    }
+                });
+                return best;
+            }
+        },
+        patrol: {
+            name: 'Scripted Patrol',
+            description: 'Walks a fixed loop through the waypoints and back - pays Naruto no attention',
+            prepare: pursuit => {
+                const home = pursuit.grid.endNode;
+                const route = [home];
+                [...pursuit.grid.waypoints, home].forEach(stop => {
+                    const leg = pursuit.findRoute(route[route.length - 1], stop);
+                    if (leg) route.push(...leg.slice(1));
+                });
+                // The loop ends back home, which is also where it starts
+                if (route.length > 1) route.pop();
+                return { route, index: 0 };
+            },
+            move: (pursuit, madara) => {
+                const { route, index } = pursuit.policyState;
+                const next = route[(index + 1) % route.length];
+                // Blocked by a new wall, or dragged off the route - wait
+                if (next === madara || !pursuit.getMoves(madara).includes(next)) return madara;
+
+                pursuit.policyState.index = (index + 1) % route.length;
+                return next;
+            }
+        }
+    },
+
+    /**
+     * Default policy id
+     */
+    defaultId: 'flee',
+
+    /**
+     * Get a policy definition by id
+     */
+    get(id) {
+        return this.registry[id] || null;
+    },
+
+    /**
+     * List all policies as { id, name, description }
+     */
+    list() {
+        return Object.keys(this.registry).map(id => ({
+            id,
+            name: this.registry[id].name,
+            description: this.registry[id].description
+        }));
+    }
+};
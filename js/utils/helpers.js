@@ -17,8 +17,8 @@ const Helpers = {
             for (let col = 0; col < grid.cols; col++) {
                 const node = grid.getNode(row, col);
 
-                // Don't place walls on start or end
-                if (!node.isStart && !node.isEnd) {
+                // Don't place walls on start, end, waypoints or clones
+                if (!node.isLandmark()) {
                     if (Math.random() < density) {
                         node.isWall = true;
                         node.wallType = grid.getRandomWallType(); // Use random wall type
@@ -38,7 +38,7 @@ const Helpers = {
      */
     ensurePathExists(grid) {
         const pathfinder = new AStar(grid);
-        const result = pathfinder.findPath(false); // No animation
+        const result = pathfinder.solve(); // Headless, returns right away
 
         if (!result) {
             // No path exists, create a simple one
@@ -84,6 +84,7 @@ const Helpers = {
         // Forest of Death - Dense obstacles with guaranteed winding paths
         forestOfDeath(grid) {
             grid.clearWalls();
+            grid.clearWeights();
 
             // Set themed start/end positions first
             grid.setStartNode(0, 0); // Top-left corner
@@ -140,6 +141,17 @@ const Helpers = {
 
             this.createObstacles(grid, obstacles);
 
+            // Undergrowth slows ninjas down around the tree clusters, mud near the exit
+            const forestTerrain = [
+                {type: 'forest', rows: [1, 2, 3], col: 1},
+                {type: 'forest', rows: [1, 2, 3], col: 3},
+                {type: 'forest', rows: [5, 6], col: 3}
+            ];
+            if (grid.rows > 7 && grid.cols > 7) {
+                forestTerrain.push({type: 'mud', row: grid.rows - 3, cols: [grid.cols - 4, grid.cols - 3, grid.cols - 2]});
+            }
+            this.createTerrain(grid, forestTerrain);
+
             // Ensure path exists by clearing critical diagonal if needed
             this.ensureForestPath(grid);
         },
@@ -147,6 +159,7 @@ const Helpers = {
         // Valley of the End - Two sides separated by obstacles
         valleyOfTheEnd(grid) {
             grid.clearWalls();
+            grid.clearWeights();
 
             const midCol = Math.floor(grid.cols / 2);
             const obstacles = [];
@@ -181,6 +194,18 @@ const Helpers = {
 
             this.createObstacles(grid, obstacles);
 
+            // The river runs along both sides of the valley walls (kept off the corner start/end)
+            if (grid.cols >= 7) {
+                const riverRows = [];
+                for (let row = 0; row < grid.rows; row++) {
+                    riverRows.push(row);
+                }
+                this.createTerrain(grid, [
+                    {type: 'water', rows: riverRows, col: midCol - 2},
+                    {type: 'water', rows: riverRows, col: midCol + 2}
+                ]);
+            }
+
             // Set positions on opposite sides
             grid.setStartNode(0, 0); // Left side
             grid.setEndNode(grid.rows - 1, grid.cols - 1); // Right side
@@ -189,6 +214,7 @@ const Helpers = {
         // Hidden Leaf Village - Strategic building layout with clear streets
         hiddenLeafVillage(grid) {
             grid.clearWalls();
+            grid.clearWeights();
 
             // Set start at village entrance, end at Hokage building (center-ish)
             grid.setStartNode(0, 0);
@@ -260,6 +286,22 @@ const Helpers = {
 
             this.createObstacles(grid, obstacles);
 
+            // Paved roads: down the village gate street, then along the Hokage avenue
+            const hokageRow = Math.floor(grid.rows * 0.7);
+            const hokageCol = Math.floor(grid.cols * 0.6);
+            const gateStreet = [];
+            for (let row = 1; row <= hokageRow; row++) {
+                gateStreet.push(row);
+            }
+            const avenue = [];
+            for (let col = 1; col < hokageCol; col++) {
+                avenue.push(col);
+            }
+            this.createTerrain(grid, [
+                {type: 'road', rows: gateStreet, col: 0},
+                {type: 'road', row: hokageRow, cols: avenue}
+            ]);
+
             // Ensure clear path through village streets
             this.ensureVillagePath(grid);
         },
@@ -271,7 +313,7 @@ const Helpers = {
 
             // Test path without any visual effects
             pathfinder.animationSpeed = 1; // Fastest possible
-            const result = pathfinder.findPath(false); // No animation
+            const result = pathfinder.solve(); // Headless, returns right away
 
             if (!result) {
                 // No path exists, create one along the border
@@ -308,7 +350,7 @@ const Helpers = {
 
             // Test path without any visual effects
             pathfinder.animationSpeed = 1; // Fastest possible
-            const result = pathfinder.findPath(false); // No animation
+            const result = pathfinder.solve(); // Headless, returns right away
 
             if (!result) {
                 console.log('🏘️ Hidden Leaf Village: Creating street path...');
@@ -346,6 +388,26 @@ const Helpers = {
             grid.resetPathfinding();
         },
 
+        // Helper method to paint terrain from coordinate data
+        // Same shapes as createObstacles plus a terrain type; walls, start and end are left alone
+        createTerrain(grid, patches) {
+            patches.forEach(patch => {
+                const cells = [];
+                if (patch.rows && patch.col !== undefined) {
+                    patch.rows.forEach(row => cells.push([row, patch.col]));
+                } else if (patch.row !== undefined && patch.cols) {
+                    patch.cols.forEach(col => cells.push([patch.row, col]));
+                }
+
+                cells.forEach(([row, col]) => {
+                    const node = grid.getNode(row, col);
+                    if (node) {
+                        node.setTerrain(patch.type);
+                    }
+                });
+            });
+        },
+
         // Helper method to create obstacles from coordinate data
         createObstacles(grid, obstacles) {
             obstacles.forEach(obstacle => {
@@ -354,7 +416,7 @@ const Helpers = {
                     obstacle.rows.forEach(row => {
                         if (row >= 0 && row < grid.rows && obstacle.col >= 0 && obstacle.col < grid.cols) {
                             const node = grid.getNode(row, obstacle.col);
-                            if (node && !node.isStart && !node.isEnd) {
+                            if (node && !node.isLandmark()) {
                                 node.isWall = true;
                                 node.wallType = grid.getRandomWallType();
                                 node.updateVisualState();
@@ -366,7 +428,7 @@ const Helpers = {
                     obstacle.cols.forEach(col => {
                         if (obstacle.row >= 0 && obstacle.row < grid.rows && col >= 0 && col < grid.cols) {
                             const node = grid.getNode(obstacle.row, col);
-                            if (node && !node.isStart && !node.isEnd) {
+                            if (node && !node.isLandmark()) {
                                 node.isWall = true;
                                 node.wallType = grid.getRandomWallType();
                                 node.updateVisualState();
@@ -400,7 +462,7 @@ const Helpers = {
 
             while (row >= 0 && row < grid.rows && col >= 0 && col < grid.cols) {
                 const node = grid.getNode(row, col);
-                if (node && !node.isStart && !node.isEnd) {
+                if (node && !node.isLandmark()) {
                     node.isWall = true;
                     node.wallType = grid.getRandomWallType(); // Random wall type
                     node.updateVisualState();
@@ -435,7 +497,7 @@ const Helpers = {
                     const row = j;
                     const col = i + j;
                     const node = grid.getNode(row, col);
-                    if (node && !node.isStart && !node.isEnd) {
+                    if (node && !node.isLandmark()) {
                         node.isWall = true;
                         node.wallType = grid.getRandomWallType(); // Random wall type
                         node.updateVisualState();
@@ -447,7 +509,7 @@ const Helpers = {
                     const row = j;
                     const col = grid.cols - 1 - i - j;
                     const node = grid.getNode(row, col);
-                    if (node && !node.isStart && !node.isEnd) {
+                    if (node && !node.isLandmark()) {
                         node.isWall = true;
                         node.wallType = grid.getRandomWallType(); // Random wall type
                         node.updateVisualState();
@@ -465,7 +527,7 @@ const Helpers = {
                 for (let row = 0; row < grid.rows; row++) {
                     if (row !== Math.floor(grid.rows / 2) && row !== Math.floor(grid.rows / 2) - 1) {
                         const node = grid.getNode(row, col);
-                        if (node && !node.isStart && !node.isEnd) {
+                        if (node && !node.isLandmark()) {
                             node.isWall = true;
                             node.wallType = grid.getRandomWallType(); // Random wall type
                             node.updateVisualState();
@@ -509,8 +571,14 @@ const Helpers = {
             rows: grid.rows,
             cols: grid.cols,
             walls: [],
+            weights: [],
+            terrain: [],
             startNode: null,
-            endNode: null
+            endNode: null,
+            waypoints: grid.waypoints.map(({ row, col }) => ({ row, col })), // In visiting order
+            targets: grid.targets.map(({ row, col }) => ({ row, col })), // Madara clones
+            patrols: grid.patrols.map(({ route }) => ({ route: route.map(({ row, col }) => ({ row, col })) })), // Anbu guards
+            squad: grid.squad.map(({ start, goal }) => ({ start: { row: start.row, col: start.col }, goal: { row: goal.row, col: goal.col } })) // Ninjas planned with Naruto
         };
 
         for (let row = 0; row < grid.rows; row++) {
@@ -523,6 +591,11 @@ const Helpers = {
                         type: node.wallType || 1 // Include wall type in export
                     });
                 }
+                if (node.getTerrain()) {
+                    data.terrain.push({ row, col, type: node.wallType }); // Include named terrain
+                } else if (node.weight !== 1) {
+                    data.weights.push({ row, col, weight: node.weight }); // Include painted weights
+                }
                 if (node.isStart) {
                     data.startNode = { row, col };
                 }
@@ -554,6 +627,11 @@ const Helpers = {
 
             // Clear and rebuild
             grid.clearWalls();
+            grid.clearWeights();
+            grid.clearWaypoints();
+            grid.clearTargets();
+            grid.clearPatrols();
+            grid.clearSquad();
 
             // Set walls with their types
             if (data.walls) {
@@ -567,6 +645,25 @@ const Helpers = {
                 });
             }
 
+            // Set weighted cells
+            if (data.weights) {
+                data.weights.forEach(({ row, col, weight }) => {
+                    const node = grid.getNode(row, col);
+                    if (node && weight > 0) {
+                        node.weight = weight;
+                        node.updateVisualState();
+                    }
+                });
+            }
+
+            // Set terrain tiles
+            if (data.terrain) {
+                data.terrain.forEach(({ row, col, type }) => {
+                    const node = grid.getNode(row, col);
+                    if (node) node.setTerrain(type);
+                });
+            }
+
             // Set start and end
             if (data.startNode) {
                 grid.setStartNode(data.startNode.row, data.startNode.col);
@@ -575,6 +672,29 @@ const Helpers = {
                 grid.setEndNode(data.endNode.row, data.endNode.col);
             }
 
+            // Set waypoints in their visiting order
+            if (data.waypoints) {
+                data.waypoints.forEach(({ row, col }) => grid.addWaypoint(row, col));
+            }
+
+            // Set Madara clones
+            if (data.targets) {
+                data.targets.forEach(({ row, col }) => grid.addTarget(row, col));
+            }
+
+            // Set Anbu patrols
+            if (data.patrols) {
+                data.patrols.forEach(({ route }) => {
+                    const nodes = route.map(({ row, col }) => grid.getNode(row, col));
+                    if (!nodes.includes(null)) grid.addPatrol(nodes);
+                });
+            }
+
+            // Set squad ninjas
+            if (data.squad) {
+                data.squad.forEach(({ start, goal }) => grid.addNinja(grid.getNode(start.row, start.col), grid.getNode(goal.row, goal.col)));
+            }
+
             return true;
         } catch (error) {
             console.error('Import failed:', error);
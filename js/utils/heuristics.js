@@ -0,0 +1,74 @@
+/**
+ * Heuristics
+ * Different ways for Naruto to guess how far away Madara is
+ * Each estimate receives the absolute row/column distance to the target
+ */
+
+const Heuristics = {
+    /**
+     * Registered heuristics keyed by id
+     */
+    registry: {
+        manhattan: {
+            name: 'Manhattan',
+            description: 'Counts city blocks - exact for 4-way movement',
+            estimate: (dx, dy) => dx + dy
+        },
+        euclidean: {
+            name: 'Euclidean',
+            description: 'Straight-line distance - admissible but loose on grids',
+            estimate: (dx, dy) => Math.sqrt(dx * dx + dy * dy)
+        },
+        octile: {
+            name: 'Octile',
+            description: 'Diagonal steps cost √2 - exact for 8-way movement',
+            estimate: (dx, dy) => (dx + dy) + (Math.SQRT2 - 2) * Math.min(dx, dy)
+        },
+        chebyshev: {
+            name: 'Chebyshev',
+            description: 'Diagonal steps cost 1 - the king\'s move distance',
+            estimate: (dx, dy) => Math.max(dx, dy)
+        },
+        zero: {
+            name: 'Zero (Dijkstra)',
+            description: 'No guessing at all - A* behaves exactly like Dijkstra',
+            estimate: () => 0
+        }
+    },
+
+    /**
+     * Default heuristic id
+     */
+    defaultId: 'manhattan',
+
+    /**
+     * Get a heuristic definition by id, falling back to the default
+     */
+    get(id) {
+        return this.registry[id] || this.registry[this.defaultId];
+    },
+
+    /**
+     * List all heuristics as { id, name, description }
+     */
+    list() {
+        return Object.keys(this.registry).map(id => ({
+            id,
+            name: this.registry[id].name,
+            description: this.registry[id].description
+        }));
+    },
+
+    /**
+     * Estimate the distance between two nodes
+     * @param {Node} from - Node being scored
+     * @param {Node} to - Target node
+     * @param {string} id - Heuristic id
+     * @param {number} weight - Epsilon for Weighted A* (1 = plain A*)
+     */
+    estimate(from, to, id = this.defaultId, weight = 1) {
+        const dx = Math.abs(from.col - to.col);
+        const dy = Math.abs(from.row - to.row);
+        return weight * this.get(id).estimate(dx, dy);
+    }
+};
@@ -0,0 +1,150 @@
+/**
+ * Path Smoother
+ * Line-of-sight checks and any-angle path tools - why walk the staircase when you can Body Flicker?
+ * Lines run between cell centers and are blocked by walls only (weights and terrain are ignored).
+ */
+
+const PathSmoother = {
+    /**
+     * Every cell a straight line between two cell centers passes through
+     * A line that crosses exactly through a grid corner also touches the two cells beside that corner,
+     * listed separately so a line cannot squeeze diagonally between two walls
+     * @returns {{ cells: {row, col}[], corners: {row, col}[] }} cells in order, from -> to
+     */
+    traceLine(from, to) {
+        const dRow = Math.abs(to.row - from.row);
+        const dCol = Math.abs(to.col - from.col);
+        const stepRow = Math.sign(to.row - from.row);
+        const stepCol = Math.sign(to.col - from.col);
+
+        let row = from.row;
+        let col = from.col;
+        let rowSteps = 0;
+        let colSteps = 0;
+        const cells = [{ row, col }];
+        const corners = [];
+
+        while (rowSteps < dRow || colSteps < dCol) {
+            // Which cell border the line crosses next (scaled by 2 * dRow * dCol to stay in integers)
+            const decision = (1 + 2 * colSteps) * dRow - (1 + 2 * rowSteps) * dCol;
+
+            if (decision === 0) {
+                corners.push({ row, col: col + stepCol }, { row: row + stepRow, col });
+                row += stepRow;
+                col += stepCol;
+                rowSteps++;
+                colSteps++;
+            } else if (decision < 0) {
+                col += stepCol;
+                colSteps++;
+            } else {
+                row += stepRow;
+                rowSteps++;
+            }
+            cells.push({ row, col });
+        }
+
+        return { cells, corners };
+    },
+
+    /**
+     * Check that nothing blocks the straight line between two nodes
+     */
+    hasLineOfSight(grid, from, to) {
+        const { cells, corners } = this.traceLine(from, to);
+        return cells.every(cell => this.isOpen(grid, cell)) &&
+            corners.every(cell => this.isOpen(grid, cell));
+    },
+
+    /**
+     * Check a position is on the grid and not a wall
+     */
+    isOpen(grid, { row, col }) {
+        const node = grid.getNode(row, col);
+        return !!node && !node.isWall;
+    },
+
+    /**
+     * Shorten a path by string pulling: from each kept point, jump to the farthest point still in sight
+     * @param {Grid} grid - Battlefield the path runs on
+     * @param {Node[]} path - Cell-by-cell path from any algorithm
+     * @returns {Node[]} The corners of the smoothed path, start and end included
+     */
+    smooth(grid, path) {
+        if (path.length <= 2) return path.slice();
+
+        const waypoints = [path[0]];
+        let anchor = 0;
+        while (anchor < path.length - 1) {
+            let next = path.length - 1;
+            while (next > anchor + 1 && !this.hasLineOfSight(grid, path[anchor], path[next])) {
+                next--;
+            }
+            waypoints.push(path[next]);
+            anchor = next;
+        }
+        return waypoints;
+    },
+
+    /**
+     * Turn a list of waypoints back into the cells walked between them
+     */
+    expand(grid, waypoints) {
+        if (waypoints.length === 0) return [];
+
+        const cells = [waypoints[0]];
+        for (let i = 1; i < waypoints.length; i++) {
+            this.traceLine(waypoints[i - 1], waypoints[i]).cells.slice(1).forEach(({ row, col }) => {
+                cells.push(grid.getNode(row, col));
+            });
+        }
+        return cells;
+    },
+
+    /**
+     * Cost of walking the straight line between two cell centers: the length it runs through each cell,
+     * times that cell's weight - on a map without weights, just the distance
+     */
+    lineCost(grid, from, to) {
+        const dRow = to.row - from.row;
+        const dCol = to.col - from.col;
+        const length = Math.hypot(dRow, dCol);
+        if (length === 0) return 0;
+
+        // Fractions of the way where the line crosses a cell border (borders sit halfway between centers)
+        const crossings = [0, 1];
+        for (let k = 1; k <= Math.abs(dRow); k++) crossings.push((k - 0.5) / Math.abs(dRow));
+        for (let k = 1; k <= Math.abs(dCol); k++) crossings.push((k - 0.5) / Math.abs(dCol));
+        crossings.sort((a, b) => a - b);
+
+        let cost = 0;
+        for (let i = 1; i < crossings.length; i++) {
+            const span = crossings[i] - crossings[i - 1];
+            if (span <= 0) continue;
+
+            // The middle of a stretch is strictly inside one cell
+            const middle = (crossings[i - 1] + crossings[i]) / 2;
+            const node = grid.getNode(Math.round(from.row + dRow * middle), Math.round(from.col + dCol * middle));
+            cost += span * length * node.weight;
+        }
+        return cost;
+    },
+
+    /**
+     * Straight-line distance between two nodes, in cells
+     */
+    distance(from, to) {
+        return Math.hypot(to.row - from.row, to.col - from.col);
+    },
+
+    /**
+     * True length of a polyline through the given points, rounded like path costs
+     */
+    euclideanLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += this.distance(points[i - 1], points[i]);
+        }
+        return Math.round(length * 100) / 100;
+    }
+};
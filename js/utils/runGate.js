@@ -0,0 +1,70 @@
+/**
+ * Run Gate
+ * Pause, resume and single-step for anything that plays out step by step - searches, chases, squads, fog walks
+ * The run awaits wait() between its steps; the controls call pause(), resume() and step() from outside.
+ */
+
+class RunGate {
+    constructor() {
+        this.isPaused = false;
+        this.stepsRequested = 0; // Steps allowed through while paused
+        this.resolver = null; // Resolver for a run waiting in wait()
+    }
+
+    /**
+     * Block while paused, letting one step through per step() call
+     */
+    async wait() {
+        while (this.isPaused) {
+            if (this.stepsRequested > 0) {
+                this.stepsRequested--;
+                return;
+            }
+            await new Promise(resolve => { this.resolver = resolve; });
+        }
+    }
+
+    /**
+     * Wake up a run waiting in wait()
+     */
+    release() {
+        if (this.resolver) {
+            const resolve = this.resolver;
+            this.resolver = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Hold the run at its next wait(); can be called before the run starts to start paused
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    /**
+     * Let the run go on freely - also how a run that is stopping gets out of wait()
+     */
+    resume() {
+        this.isPaused = false;
+        this.stepsRequested = 0;
+        this.release();
+    }
+
+    /**
+     * Let exactly one more step through, then stay paused
+     */
+    step() {
+        this.isPaused = true;
+        this.stepsRequested++;
+        this.release();
+    }
+
+    /**
+     * Delay between steps
+     * @param {number} ms - Milliseconds to delay
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
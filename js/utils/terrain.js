@@ -0,0 +1,59 @@
+/**
+ * Terrain Types
+ * Named ground with its own movement cost - built on Node.weight
+ * A terrain tile stores its key in Node.wallType (walls keep using 1 or 2 there)
+ */
+
+const Terrain = {
+    /**
+     * Registered terrain keyed by id
+     * Each entry: { name, cost, icon, color }
+     */
+    types: {
+        road: {
+            name: 'Road',
+            cost: 0.5,
+            icon: '🛤️',
+            color: '#8d8d8d'
+        },
+        forest: {
+            name: 'Dense Forest',
+            cost: 2,
+            icon: '🌲',
+            color: '#1f5f2a'
+        },
+        water: {
+            name: 'Shallow Water',
+            cost: 3,
+            icon: '🌊',
+            color: '#1e5a8c'
+        },
+        mud: {
+            name: 'Mud',
+            cost: 4,
+            icon: '🟫',
+            color: '#5b3a1e'
+        }
+    },
+
+    /**
+     * Get a terrain definition by id, or null for plain ground / walls
+     */
+    get(id) {
+        return (typeof id === 'string' && this.types[id]) || null;
+    },
+
+    /**
+     * List all terrain as { id, name, cost, icon, color }
+     */
+    list() {
+        return Object.keys(this.types).map(id => ({ id, ...this.types[id] }));
+    },
+
+    /**
+     * CSS classes used by terrain tiles, so stale ones can be removed
+     */
+    classNames() {
+        return Object.keys(this.types).map(id => `terrain-${id}`);
+    }
+};